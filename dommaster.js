@@ -1,39 +1,667 @@
-const braceRegex = new RegExp(/\{\s*([^\{\}]+?)\s*\}/, "g");
-
 const start_each = new RegExp(
-  /\{for:each (\{[^}]*\}|[^\{,]+)(?:, ([^,]+))? of ([^\}]+)\}/
+  /\{for:each (\{[^}]*\}|[^,{}]+)(?:, ([^,{}]+))? of ([^\}]+)\}/
 );
+const emptyRegx = new RegExp(/\{\:empty\}/);
 const endEach = new RegExp(/\{end:each\}/);
 
 const start_if = new RegExp(/\{start\:if (.*?)\}/);
+const elseIfRegx = new RegExp(/\{\:else if (.*?)\}/);
 const elseRegx = new RegExp(/\{\:else\}/);
 const endIfRegx = new RegExp(/\{end\:if\}/);
 
+const start_switch = new RegExp(/\{start\:switch (.*?)\}/);
+const caseRegx = new RegExp(/\{\:case (.*?)\}/);
+const defaultRegx = new RegExp(/\{\:default\}/);
+const endSwitchRegx = new RegExp(/\{end\:switch\}/);
+
+// node types, the Node global only exists in a browser
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+const FRAGMENT_NODE = 11;
+
+// nodes are created in the page's document, renderToString swaps in its own while it renders
+let doc = typeof document !== "undefined" ? document : null;
+
+// deep reactivity
+// nested objects, arrays, Maps and Sets are wrapped lazily when they are read through the state.
+// a mutation walks up to the top level value and notifies every state key holding it.
+const RAW = Symbol("dom_master_raw");
+const proxyCache = new WeakMap(); // raw -> proxy
+const parentsOf = new WeakMap(); // raw -> Set of raw parents
+const ownersOf = new WeakMap(); // raw top level value -> Map(manager -> Set of keys)
+
+const arrayMutators = [
+  "push",
+  "pop",
+  "shift",
+  "unshift",
+  "splice",
+  "sort",
+  "reverse",
+  "fill",
+  "copyWithin",
+];
+const arraySearches = ["includes", "indexOf", "lastIndexOf"];
+
+function isObservable(value) {
+  if (value === null || typeof value !== "object") return false;
+  if (value[RAW] || Object.isFrozen(value)) return false;
+  if (Array.isArray(value) || value instanceof Map || value instanceof Set)
+    return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function toRaw(value) {
+  return (value && value[RAW]) || value;
+}
+
+function reactive(value, parent) {
+  value = toRaw(value);
+  if (!isObservable(value)) return value;
+  if (parent) {
+    if (!parentsOf.has(value)) parentsOf.set(value, new Set());
+    parentsOf.get(value).add(parent);
+  }
+
+  let proxy = proxyCache.get(value);
+  if (!proxy) {
+    const isCollection = value instanceof Map || value instanceof Set;
+    proxy = new Proxy(value, isCollection ? collectionHandler : objectHandler);
+    proxyCache.set(value, proxy);
+  }
+  return proxy;
+}
+
+function addOwner(value, manager, key) {
+  if (!ownersOf.has(value)) ownersOf.set(value, new Map());
+  const owners = ownersOf.get(value);
+  if (!owners.has(manager)) owners.set(manager, new Set());
+  owners.get(manager).add(key);
+}
+
+function contains(parent, child) {
+  if (parent instanceof Set) return parent.has(child);
+  if (parent instanceof Map) {
+    for (const value of parent.values()) if (value === child) return true;
+    return false;
+  }
+  return Object.values(parent).includes(child);
+}
+
+// links are checked on the way up, so values removed from their parent stop notifying it
+function notifyOwners(raw) {
+  const seen = new Set();
+  const queue = [raw];
+
+  while (queue.length) {
+    const current = queue.shift();
+    if (seen.has(current)) continue;
+    seen.add(current);
+
+    ownersOf.get(current)?.forEach((keys, manager) => {
+      keys.forEach((key) => {
+        if (toRaw(manager.state[key]) === current) manager.notify(key);
+        else keys.delete(key);
+      });
+    });
+
+    const parents = parentsOf.get(current);
+    parents?.forEach((parent) => {
+      if (contains(parent, current)) queue.push(parent);
+      else parents.delete(parent);
+    });
+  }
+}
+
+const objectHandler = {
+  get(target, key, receiver) {
+    if (key === RAW) return target;
+
+    if (Array.isArray(target) && arrayMutators.includes(key)) {
+      return (...args) => {
+        const result = Array.prototype[key].apply(target, args.map(toRaw));
+        notifyOwners(target);
+        return result;
+      };
+    }
+    if (Array.isArray(target) && arraySearches.includes(key)) {
+      return (...args) => Array.prototype[key].apply(target, args.map(toRaw));
+    }
+
+    const value = Reflect.get(target, key, receiver);
+    if (typeof key === "symbol") return value;
+
+    // proxy invariant: read-only, non-configurable properties must return their own value
+    const descriptor = Object.getOwnPropertyDescriptor(target, key);
+    if (descriptor && !descriptor.configurable && !descriptor.writable)
+      return value;
+
+    return reactive(value, target);
+  },
+  set(target, key, value) {
+    const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+    const rawValue = toRaw(value);
+
+    if (hadKey && target[key] === rawValue) return true;
+    target[key] = rawValue;
+    notifyOwners(target);
+    return true;
+  },
+  deleteProperty(target, key) {
+    if (!Object.prototype.hasOwnProperty.call(target, key)) return true;
+    delete target[key];
+    notifyOwners(target);
+    return true;
+  },
+};
+
+const collectionHandler = {
+  get(target, key, receiver) {
+    if (key === RAW) return target;
+    if (key === "size") return target.size;
+
+    const isMap = target instanceof Map;
+    const wrap = (value) => reactive(value, target);
+
+    switch (key) {
+      case "get":
+        return (k) => wrap(target.get(toRaw(k)));
+      case "has":
+        return (k) => target.has(toRaw(k));
+      case "set":
+        return (k, v) => {
+          const rawKey = toRaw(k);
+          const rawValue = toRaw(v);
+          if (!target.has(rawKey) || target.get(rawKey) !== rawValue) {
+            target.set(rawKey, rawValue);
+            notifyOwners(target);
+          }
+          return receiver;
+        };
+      case "add":
+        return (v) => {
+          const rawValue = toRaw(v);
+          if (!target.has(rawValue)) {
+            target.add(rawValue);
+            notifyOwners(target);
+          }
+          return receiver;
+        };
+      case "delete":
+        return (k) => {
+          const deleted = target.delete(toRaw(k));
+          deleted && notifyOwners(target);
+          return deleted;
+        };
+      case "clear":
+        return () => {
+          if (!target.size) return;
+          target.clear();
+          notifyOwners(target);
+        };
+      case "forEach":
+        return (callback, thisArg) =>
+          target.forEach((value, k) =>
+            callback.call(thisArg, wrap(value), isMap ? k : wrap(k), receiver)
+          );
+      case "values":
+        return function* () {
+          for (const value of target.values()) yield wrap(value);
+        };
+      case "keys":
+        return function* () {
+          for (const k of target.keys()) yield isMap ? k : wrap(k);
+        };
+      case "entries":
+      case Symbol.iterator:
+        return function* () {
+          for (const [k, value] of target.entries()) {
+            const entry = [isMap ? k : wrap(k), wrap(value)];
+            yield key === Symbol.iterator && !isMap ? entry[1] : entry;
+          }
+        };
+    }
+
+    const value = Reflect.get(target, key, target);
+    return typeof value === "function" ? value.bind(target) : value;
+  },
+};
+
+// update scheduler
+// notified callbacks are queued and flushed once per microtask, so a callback
+// depending on several changed keys runs a single time.
+const jobQueue = new Set();
+const postFlushQueue = new Set(); // lifecycle hooks, run once the DOM is up to date
+const resolvedPromise = Promise.resolve();
+const MAX_JOB_RUNS = 100;
+let flushPromise = null;
+let flushPending = false;
+let flushing = false;
+let batchDepth = 0;
+
+function queueJob(job) {
+  jobQueue.add(job);
+  queueFlush();
+}
+
+function queuePostFlush(job) {
+  postFlushQueue.add(job);
+  queueFlush();
+}
+
+function queueFlush() {
+  if (!flushPending && !flushing && !batchDepth) {
+    flushPending = true;
+    flushPromise = resolvedPromise.then(flushJobs);
+  }
+}
+
+function runJob(job) {
+  try {
+    job();
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+function flushJobs() {
+  flushPending = false;
+  if (flushing) return;
+  flushing = true;
+  const runs = new Map();
+
+  try {
+    while (jobQueue.size || postFlushQueue.size) {
+      // jobs queued while flushing (nested local managers, computed values) run in the same flush
+      for (const job of jobQueue) {
+        jobQueue.delete(job);
+        const count = (runs.get(job) || 0) + 1;
+        runs.set(job, count);
+        if (count > MAX_JOB_RUNS) {
+          console.error(
+            "Error: maximum recursive updates exceeded. a subscriber keeps changing the state it depends on."
+          );
+          continue;
+        }
+        runJob(job);
+      }
+
+      const postJobs = [...postFlushQueue];
+      postFlushQueue.clear();
+      postJobs.forEach(runJob);
+    }
+  } finally {
+    flushing = false;
+  }
+}
+
+// Group several changes and flush them synchronously at the end
+function batch(fn) {
+  batchDepth++;
+  try {
+    return fn();
+  } finally {
+    if (--batchDepth === 0) flushJobs();
+  }
+}
+
+// Resolves once pending updates are applied to the DOM
+function nextTick(fn) {
+  const promise = flushPromise || resolvedPromise;
+  return fn ? promise.then(fn) : promise;
+}
+
+// dependency tracking
+// while an effect runs, every state key it reads is recorded and subscribed to.
+// dependencies are collected again on every run.
+let activeEffect = null;
+
+class Effect {
+  constructor(fn, scheduler) {
+    this.fn = fn;
+    this.scheduler = scheduler; // runs instead of the effect when a dependency changes
+    this.deps = new Map(); // manager -> Set of keys
+    this.subscriptions = [];
+    this.active = true;
+    this.job = () => this.active && this.run();
+    this.trigger = () =>
+      this.scheduler ? this.scheduler() : queueJob(this.job);
+  }
+
+  run() {
+    if (!this.active) return this.fn();
+    this.cleanup();
+
+    const parentEffect = activeEffect;
+    activeEffect = this;
+    try {
+      return this.fn();
+    } finally {
+      activeEffect = parentEffect;
+    }
+  }
+
+  track(manager, key) {
+    if (!this.deps.has(manager)) this.deps.set(manager, new Set());
+    const keys = this.deps.get(manager);
+    if (keys.has(key)) return;
+    keys.add(key);
+    this.subscriptions.push(manager.subscribe(key, this));
+  }
+
+  cleanup() {
+    this.subscriptions.forEach((sub) => sub.unsubscribe());
+    this.subscriptions = [];
+    this.deps.clear();
+  }
+
+  stop() {
+    this.cleanup();
+    this.active = false;
+  }
+}
+
+// runs fn without recording its reads into the running effect
+function untrack(fn) {
+  const parentEffect = activeEffect;
+  activeEffect = null;
+  try {
+    return fn();
+  } finally {
+    activeEffect = parentEffect;
+  }
+}
+
+// cached derived value, recomputed only after one of the keys it read has changed
+class Computed {
+  constructor(getter, setter, manager, key) {
+    this.setter = setter;
+    this.dirty = true;
+    this.value = undefined;
+    this.effect = new Effect(getter, () => {
+      this.dirty = true;
+      manager.notify(key);
+    });
+  }
+
+  get() {
+    if (this.dirty) {
+      this.value = this.effect.run();
+      this.dirty = false;
+    }
+    return this.value;
+  }
+}
+
+// owns what a template creates (effects, listeners, nested scopes) so it can all be released at once
+let activeScope = null;
+
+class Scope {
+  constructor(parent = activeScope) {
+    this.parent = parent;
+    this.children = new Set();
+    this.cleanups = [];
+    this.active = true;
+    this.mounted = false;
+    this.hooks = { mount: [], update: [], destroy: [] };
+    this.runUpdateHooks = () =>
+      this.mounted && this.hooks.update.forEach(runJob);
+    parent?.children.add(this);
+  }
+
+  run(fn) {
+    const parentScope = activeScope;
+    activeScope = this;
+    try {
+      return fn();
+    } finally {
+      activeScope = parentScope;
+    }
+  }
+
+  add(cleanup) {
+    if (this.active) this.cleanups.push(cleanup);
+    else cleanup();
+  }
+
+  // children are mounted first, so a hook sees its whole subtree in the document
+  mount() {
+    if (!this.active || this.mounted) return;
+    this.mounted = true;
+    this.children.forEach((child) => child.mount());
+    this.hooks.mount.forEach(runJob);
+  }
+
+  unmount() {
+    this.mounted = false;
+    this.children.forEach((child) => child.unmount());
+  }
+
+  // mounts a scope rendered after its parent: once the current flush has updated the DOM
+  mountLater() {
+    if (this.parent?.mounted) queuePostFlush(() => this.mount());
+  }
+
+  // an updater of this scope ran again, update hooks of the scope and its ancestors are queued
+  updated() {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.mounted && scope.hooks.update.length)
+        queuePostFlush(scope.runUpdateHooks);
+    }
+  }
+
+  destroy() {
+    if (!this.active) return;
+    // every destroy hook of the subtree runs before anything is released
+    this.#callDestroyHooks();
+    this.#release();
+  }
+
+  // releases the subtree without its destroy hooks: a template rendered to a string was never mounted
+  dispose() {
+    if (this.active) this.#release();
+  }
+
+  #callDestroyHooks() {
+    this.hooks.destroy.forEach(runJob);
+    this.children.forEach((child) => child.#callDestroyHooks());
+  }
+
+  #release() {
+    this.active = false;
+    this.mounted = false;
+    this.children.forEach((child) => child.#release());
+    this.cleanups.forEach((cleanup) => cleanup());
+    this.children.clear();
+    this.cleanups = [];
+    this.parent?.children.delete(this);
+  }
+}
+
+// Lifecycle hooks of the template, component, if branch or for:each row being rendered
+function onMount(hook) {
+  addHook("mount", hook);
+}
+
+function onUpdate(hook) {
+  addHook("update", hook);
+}
+
+function onDestroy(hook) {
+  addHook("destroy", hook);
+}
+
+// refs
+// templates and components collect refs on their state. for:each rows collect their own, and
+// the block exposes them as arrays in row order.
+function findRefScope(scope = activeScope) {
+  while (scope && !scope.refs) scope = scope.refScope || scope.parent;
+  return scope;
+}
+
+function registerRef(node, name) {
+  const owner = findRefScope();
+  if (!owner) return;
+
+  owner.refs[name] = node;
+  owner.onRefs?.();
+  // removed with the element's if branch, row or template
+  activeScope.add(() => {
+    if (owner.refs[name] !== node) return;
+    delete owner.refs[name];
+    owner.active && owner.onRefs?.();
+  });
+}
+
+const hookNames = {
+  mount: "onMount",
+  update: "onUpdate",
+  destroy: "onDestroy",
+};
+const lifecycleEvents = Object.keys(hookNames);
+
+function addHook(type, hook) {
+  if (!activeScope)
+    return console.error(
+      `Error: ${hookNames[type]} called outside of a template or component.`
+    );
+  activeScope.hooks[type].push(hook);
+}
+
 class ReactiveState {
-  constructor(initialState = {}) {
+  #computed = new Map();
+  #watchers = new Set();
+  #validator = null;
+
+  constructor(initialState = {}, options = {}) {
     this.state = initialState; // Internal state object
     this.subscribers = new Map(); // Tracks which variables have subscribers
     this.expressions = [];
+    this.refs = {}; // elements with a ref="name" attribute
 
     // Create a proxy for the state
     this.proxy = new Proxy(this.state, {
       get: (target, key) => {
-        return key in target ? target[key] : undefined;
+        if (!(key in target)) return undefined;
+        activeEffect?.track(this, key);
+
+        if (this.#computed.has(key)) return this.#computed.get(key).get();
+
+        const value = toRaw(target[key]);
+        if (isObservable(value)) {
+          addOwner(value, this, key);
+          return reactive(value);
+        }
+        return value;
       },
       set: (target, key, value) => {
+        if (this.#computed.has(key)) {
+          const { setter } = this.#computed.get(key);
+          if (setter) setter.call(this.proxy, value);
+          else console.warn(`computed property ${key} is read-only.`);
+          return true;
+        }
+
+        value = toRaw(value);
+        if (plugins.length && target[key] !== value) {
+          const change = { state: this, key, value, oldValue: target[key] };
+          if (callPlugins("set", change) === false) return true; // vetoed
+          value = toRaw(change.value);
+        }
+        if (this.#validator && target[key] !== value)
+          value = toRaw(this.#validator.check(key, value));
         if (target[key] !== value) {
-          // if it's an array changes will have to be significant to trigger a update
+          // nested mutations are picked up by notifyOwners, only new values get here
           target[key] = value;
           this.#notify(key); // Notify dependent nodes of changes
           this.#checkExpression(key);
         }
         return true;
       },
+      // templates resolve names with `in`: keys of the state, not what it inherits
+      has: (target, key) => Object.hasOwn(target, key),
     });
 
     // Bind instance methods to ensure they remain accessible
     this.subscribe = this.subscribe.bind(this);
-    this.notify = this.#notify.bind(this);
+    this.notify = (key) => {
+      this.#notify(key);
+      this.#checkExpression(key);
+    };
+    this.watch = this.watch.bind(this);
+    this.snapshot = this.snapshot.bind(this);
+    this.restore = this.restore.bind(this);
+    this.destroy = this.destroy.bind(this);
+
+    // getters in the initial state and options.computed become computed properties
+    const computed = { ...options.computed };
+    // a schema keeps its messages in errors, valid is computed from them
+    if (options.schema) {
+      if (
+        "errors" in this.state ||
+        "valid" in this.state ||
+        "valid" in computed
+      )
+        console.error(
+          "Error: a state with a schema keeps its messages in errors and valid, rename those keys."
+        );
+      else {
+        this.state.errors = {};
+        computed.valid = function () {
+          return Object.values(this.errors).every((message) => !message);
+        };
+        this.#validator = createValidator(this, options.schema, options.strict);
+      }
+    }
+    Object.entries(Object.getOwnPropertyDescriptors(this.state)).forEach(
+      ([key, descriptor]) => {
+        if (descriptor.get) computed[key] = descriptor;
+      }
+    );
+    Object.entries(computed).forEach(([key, definition]) => {
+      const getter = definition.get || definition;
+      const setter = definition.set;
+      this.#computed.set(
+        key,
+        new Computed(
+          () => getter.call(this.proxy, this.proxy),
+          setter,
+          this,
+          key
+        )
+      );
+      // raw reads of the state go through the cache as well
+      Object.defineProperty(this.state, key, {
+        get: () => this.proxy[key],
+        set: (value) => (this.proxy[key] = value),
+        enumerable: true,
+        configurable: true,
+      });
+    });
+
+    // saved values are restored before watchers read them, functions and computed properties are never saved
+    if (options.persist)
+      this.persistence = persistState(
+        this,
+        this.#dataKeys(options.persist.keys),
+        options.persist
+      );
+    this.#validator?.start();
+    if (options.history) {
+      const history = options.history === true ? {} : options.history;
+      this.history = trackHistory(this, this.#dataKeys(history.keys), history);
+    }
+
+    options.label && stateLabels.set(this.proxy, options.label);
+    plugins.length &&
+      callPlugins("init", { state: this, label: labelOf(this) });
+
+    options.watch &&
+      Object.entries(options.watch).forEach(([key, callback]) =>
+        this.watch(key, callback)
+      );
 
     return new Proxy(this, {
       get: (target, key) => {
@@ -56,729 +684,4567 @@ class ReactiveState {
     });
   }
 
-  // Subscribe a callback to a key
-  subscribe(key, callback) {
-    if (!this.subscribers.has(key)) {
-      this.subscribers.set(key, new Set());
+  // Subscribe a callback to a key
+  subscribe(key, callback) {
+    if (!this.subscribers.has(key)) {
+      this.subscribers.set(key, new Set());
+    }
+    if (!this.subscribers.get(key).has(callback))
+      this.subscribers.get(key).add(callback);
+    return {
+      unsubscribe: () => {
+        const subscribers = this.subscribers.get(key);
+        subscribers?.delete(callback);
+        subscribers?.size === 0 && this.subscribers.delete(key);
+      },
+    };
+  }
+
+  // Watch a key or a getter, callback receives (newValue, oldValue)
+  watch(source, callback) {
+    const isGetter = typeof source === "function";
+    const getter = isGetter
+      ? () => source.call(this.proxy, this.proxy)
+      : () => this.proxy[source];
+
+    let oldValue;
+    const job = () => {
+      if (!effect.active) return;
+      const newValue = effect.run();
+      // objects may have been mutated in place, a getter returning the same primitive did not change
+      if (
+        isGetter &&
+        Object.is(newValue, oldValue) &&
+        typeof newValue !== "object"
+      )
+        return;
+      callback.call(this.proxy, newValue, oldValue);
+      oldValue = newValue;
+    };
+    const effect = new Effect(getter, () => queueJob(job));
+    oldValue = effect.run();
+    this.#watchers.add(effect);
+
+    return {
+      unsubscribe: () => {
+        effect.stop();
+        this.#watchers.delete(effect);
+      },
+    };
+  }
+
+  addExpression(variables, callback) {
+    let dependencies = { variables, callback };
+    this.expressions.push(dependencies);
+    return {
+      unsubscribe: () => {
+        let index = this.expressions.indexOf(dependencies);
+        index !== -1 && this.expressions.splice(index, 1);
+      },
+    };
+  }
+
+  // Copies of the data keys (all of them by default), for restore()
+  snapshot(keys) {
+    const snapshot = {};
+    this.#dataKeys(keys).forEach(
+      (key) => (snapshot[key] = cloneValue(this.state[key]))
+    );
+    return snapshot;
+  }
+
+  // Bring back a snapshot, only the keys that differ are notified
+  restore(snapshot) {
+    batch(() =>
+      Object.keys(snapshot).forEach(
+        (key) =>
+          this.#dataKeys([key]).length && restoreKey(this, key, snapshot[key])
+      )
+    );
+  }
+
+  // Release subscribers, watchers and computed properties
+  destroy() {
+    plugins.length && callPlugins("dispose", { state: this });
+    this.persistence?.stop(); // pending writes are saved first
+    this.history?.stop();
+    this.#watchers.forEach((effect) => effect.stop());
+    this.#computed.forEach(({ effect }) => effect.stop());
+    this.#watchers.clear();
+    this.subscribers.clear();
+    this.expressions = [];
+
+    // stop receiving nested mutations of values still held elsewhere
+    Object.keys(this.state).forEach((key) => {
+      if (this.#computed.has(key)) return;
+      ownersOf.get(toRaw(this.state[key]))?.delete(this);
+    });
+  }
+
+  // keys holding data: not computed, not functions, not the schema's errors
+  #dataKeys(keys = Object.keys(this.state)) {
+    return keys.filter(
+      (key) =>
+        key in this.state &&
+        !this.#computed.has(key) &&
+        typeof this.state[key] !== "function" &&
+        !(this.#validator && key === "errors")
+    );
+  }
+
+  // Notify all subscribers of a key
+  #notify(key) {
+    plugins.length &&
+      callPlugins("notify", {
+        state: this,
+        key,
+        subscribers: this.subscribers.get(key)?.size || 0,
+      });
+    if (this.subscribers.has(key)) {
+      // copy: effects unsubscribe and subscribe again while they run
+      for (const subscriber of [...this.subscribers.get(key)]) {
+        // effects decide when they run (computed values are invalidated right away), callbacks are queued
+        if (subscriber instanceof Effect) subscriber.trigger();
+        else queueJob(subscriber);
+      }
+    }
+  }
+  #checkExpression(changedKey) {
+    this.expressions.forEach(({ variables, callback }) => {
+      if (variables.includes(changedKey)) {
+        queueJob(callback);
+      }
+    });
+  }
+}
+
+// store
+// shared state for every template, read and written as $store: {$store.cart.count}, $store.cart.add(item).
+// a store is a ReactiveState holding its state, getters (computed) and actions, modules are nested stores.
+let globalStore = null;
+
+function createStore(definition = {}) {
+  const {
+    state,
+    getters,
+    actions = {},
+    watch,
+    persist,
+    modules = {},
+  } = definition;
+  const initialState = typeof state === "function" ? state() : state || {};
+  Object.assign(initialState, actions); // actions are called on the store: this.count++
+
+  const store = new ReactiveState(initialState, {
+    computed: getters,
+    watch,
+    persist,
+  });
+  Object.entries(modules).forEach(([name, module]) => {
+    if (name in store || name in initialState)
+      return console.error(
+        `Error: store module ${name} conflicts with an existing key.`
+      );
+    Object.defineProperty(store, name, {
+      value: createStore(module),
+      enumerable: true,
+    });
+  });
+  return store;
+}
+
+// the store used by templates that are not given one
+function setStore(store) {
+  globalStore = store;
+}
+
+// createElement(..., { store }) and component definitions can provide a store to their subtree
+function findStore(scope) {
+  while (scope && !scope.store) scope = scope.parent;
+  return scope?.store || globalStore;
+}
+
+// templates see the store as $store, before any state key
+function withStore(variables, scope) {
+  return createLocalProxy(
+    {
+      get $store() {
+        return findStore(scope);
+      },
+    },
+    variables
+  );
+}
+
+// persistence
+// new ReactiveState(state, { persist: { name: "todos", keys: ["items"], storage: "local" } }) saves the
+// listed keys (all data keys by default) under name and restores them when the state is created.
+// storage is "local", "session", "indexedDB" or an adapter: { get(name), set(name, record), remove(name), subscribe?(name, callback) },
+// its methods may return promises. records look like { version, state }.
+function webStorage(type) {
+  let area = null;
+  try {
+    area = typeof window !== "undefined" ? window[type] : null;
+  } catch {
+    return null; // storage disabled by the browser
+  }
+  if (!area) return null;
+
+  const parse = (text) => (text === null ? null : JSON.parse(text));
+  return {
+    get: (name) => parse(area.getItem(name)),
+    set: (name, record) => area.setItem(name, JSON.stringify(record)),
+    remove: (name) => area.removeItem(name),
+    // other tabs writing the same area
+    subscribe(name, callback) {
+      const listener = (event) => {
+        if (event.storageArea === area && event.key === name)
+          callback(parse(event.newValue));
+      };
+      window.addEventListener("storage", listener);
+      return () => window.removeEventListener("storage", listener);
+    },
+  };
+}
+
+// indexedDB has no storage event, tabs tell each other through a channel.
+// states saved in the same database share it, it is closed with the last one
+const channels = new Map(); // database -> { channel, users }
+
+function shareChannel(database) {
+  if (typeof BroadcastChannel === "undefined") return null;
+  if (!channels.has(database))
+    channels.set(database, {
+      channel: new BroadcastChannel(`dom_master:${database}`),
+      users: 0,
+    });
+  const shared = channels.get(database);
+  shared.users++;
+  return shared;
+}
+
+function releaseChannel(database, shared) {
+  if (!shared || --shared.users) return;
+  shared.channel.close();
+  channels.delete(database);
+}
+
+function indexedDBStorage(database = "dom_master", storeName = "state") {
+  if (typeof indexedDB === "undefined") return null;
+
+  let opening = null;
+  const open = () =>
+    (opening ||= new Promise((resolve, reject) => {
+      const request = indexedDB.open(database, 1);
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore(storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+  const run = (mode, action) =>
+    open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const request = action(
+            db.transaction(storeName, mode).objectStore(storeName)
+          );
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })
+    );
+
+  const shared = shareChannel(database);
+  const channel = shared?.channel;
+  const listeners = new Set();
+  return {
+    get: (name) =>
+      run("readonly", (store) => store.get(name)).then(
+        (record) => record ?? null
+      ),
+    set: (name, record) =>
+      run("readwrite", (store) => store.put(record, name)).then(() =>
+        channel?.postMessage({ name, record })
+      ),
+    remove: (name) =>
+      run("readwrite", (store) => store.delete(name)).then(() =>
+        channel?.postMessage({ name, record: null })
+      ),
+    subscribe(name, callback) {
+      if (!channel) return () => {};
+      const listener = ({ data }) =>
+        data.name === name && callback(data.record);
+      channel.addEventListener("message", listener);
+      listeners.add(listener);
+      return () => {
+        channel.removeEventListener("message", listener);
+        listeners.delete(listener);
+      };
+    },
+    // once the last write is done: the connection and this adapter's share of the channel are released
+    close() {
+      listeners.forEach((listener) =>
+        channel.removeEventListener("message", listener)
+      );
+      listeners.clear();
+      releaseChannel(database, shared);
+      opening?.then(
+        (db) => db.close(),
+        () => {}
+      );
+      opening = null;
+    },
+  };
+}
+
+function getStorage(storage = "local") {
+  if (typeof storage === "object") return storage;
+  if (storage === "local") return webStorage("localStorage");
+  if (storage === "session") return webStorage("sessionStorage");
+  if (storage === "indexedDB") return indexedDBStorage();
+  console.error(`Error: unknown storage ${storage}.`);
+  return null;
+}
+
+const isThenable = (value) => typeof value?.then === "function";
+
+// a copy holding only what survives a round trip: functions, symbols, bigints, cycles and
+// instances other than plain objects and arrays (Map, Set, nodes...) are left out, dates become strings
+function toStorable(value, seen = new Set()) {
+  value = toRaw(value);
+  if (value === null || typeof value === "string" || typeof value === "boolean")
+    return value;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "object" || seen.has(value)) return undefined;
+  if (typeof value.toJSON === "function") return toStorable(value.toJSON());
+
+  const prototype = Object.getPrototypeOf(value);
+  const isArray = Array.isArray(value);
+  if (!isArray && prototype !== Object.prototype && prototype !== null)
+    return undefined;
+
+  seen.add(value);
+  let copy;
+  if (isArray) copy = value.map((item) => toStorable(item, seen) ?? null);
+  else {
+    copy = {};
+    Object.keys(value).forEach((key) => {
+      const item = toStorable(value[key], seen);
+      if (item !== undefined) copy[key] = item;
+    });
+  }
+  seen.delete(value);
+  return copy;
+}
+
+// records saved by an older version go through migrate[version] for every version in between
+function migrateRecord(record, version, migrate = {}) {
+  if (!record || typeof record !== "object" || typeof record.state !== "object")
+    return null;
+  let { state, version: saved = 0 } = record;
+  if (saved > version) {
+    console.warn(
+      `saved state version ${saved} is newer than ${version}, it was ignored.`
+    );
+    return null;
+  }
+  while (saved < version) {
+    saved++;
+    if (migrate[saved]) state = migrate[saved](state) ?? state;
+  }
+  return state;
+}
+
+function persistState(manager, keys, options) {
+  const {
+    name,
+    storage,
+    debounce = 100,
+    version = 1,
+    migrate,
+    sync = true,
+  } = options;
+  const adapter = getStorage(storage);
+  const noop = () => resolvedPromise;
+  if (!name)
+    console.error("Error: persist needs a name to save the state under.");
+  // nothing to save to (server rendering, storage disabled), the state works as usual
+  if (!name || !adapter)
+    return { ready: resolvedPromise, flush: noop, clear: noop, stop: noop };
+
+  let timer = null;
+  let lastSaved = null; // json of the last record written or read, nothing is written twice
+  let loaded = false;
+
+  const snapshot = () => {
+    const state = {};
+    keys.forEach((key) => {
+      const value = toStorable(manager.state[key]);
+      if (value !== undefined) state[key] = value;
+    });
+    return state;
+  };
+
+  const apply = (record, raw) => {
+    const state = migrateRecord(record, version, migrate);
+    if (!state) return;
+    const restore = () =>
+      batch(() =>
+        keys.forEach((key) => {
+          if (!(key in state)) return;
+          if (raw) manager.state[key] = state[key];
+          else manager.proxy[key] = state[key];
+        })
+      );
+    // loaded or synced values are not undo steps, the history starts from what was loaded
+    const { history } = manager;
+    if (history) history.ignore(restore);
+    else restore();
+    loaded || history?.clear();
+    // restored values are not written straight back, migrated ones are saved in the new version
+    lastSaved = record.version === version ? JSON.stringify(snapshot()) : null;
+    lastSaved === null && schedule();
+  };
+
+  const report = (error) =>
+    console.error(`Error: could not persist ${name}:`, error);
+  const attempt = (action, onError = report) => {
+    try {
+      const result = action();
+      return isThenable(result) ? result.catch(onError) : resolvedPromise;
+    } catch (error) {
+      onError(error);
+      return resolvedPromise;
+    }
+  };
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!loaded) return ready.then(flush); // don't overwrite what is being restored
+    const state = snapshot();
+    const json = JSON.stringify(state);
+    if (json === lastSaved) return resolvedPromise;
+    lastSaved = json;
+    return attempt(() => adapter.set(name, { version, state }));
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  };
+
+  const unreadable = (error) =>
+    console.warn(
+      `saved state ${name} could not be read and was ignored:`,
+      error
+    );
+  // web storage answers right away: the state is restored before anything reads it
+  let ready;
+  try {
+    const record = adapter.get(name);
+    if (isThenable(record)) {
+      ready = record.then(
+        (record) => attempt(() => apply(record, false), unreadable),
+        unreadable
+      );
+    } else {
+      attempt(() => apply(record, true), unreadable);
+      ready = resolvedPromise;
+    }
+  } catch (error) {
+    unreadable(error);
+    ready = resolvedPromise;
+  }
+  ready = ready.then(() => {
+    loaded = true;
+  });
+
+  const subscriptions = keys.map((key) => manager.subscribe(key, schedule));
+  const stopSync =
+    sync && adapter.subscribe
+      ? adapter.subscribe(name, (record) =>
+          attempt(() => apply(record, false), unreadable)
+        )
+      : null;
+  // changes not written yet when the page goes away
+  const onPageHide = () => flush();
+  typeof window !== "undefined" &&
+    window.addEventListener("pagehide", onPageHide);
+
+  return {
+    ready,
+    flush,
+    // forget the saved state, the current values stay
+    clear() {
+      clearTimeout(timer);
+      timer = null;
+      lastSaved = null;
+      return attempt(() => adapter.remove(name));
+    },
+    stop() {
+      const written = flush();
+      subscriptions.forEach(({ unsubscribe }) => unsubscribe());
+      stopSync?.();
+      typeof window !== "undefined" &&
+        window.removeEventListener("pagehide", onPageHide);
+      // adapters passed in belong to the caller, the ones created here are closed
+      typeof storage !== "object" && written.then(() => adapter.close?.());
+    },
+  };
+}
+
+// history
+// state.snapshot() copies the data keys, state.restore(snapshot) brings them back. copies remember the
+// objects they were taken from: restoring patches those objects in place, so rows keep their nodes and
+// only the keys that differ are notified.
+const originOf = new WeakMap(); // copy -> raw object it was taken from
+
+function cloneValue(value, seen = new Map()) {
+  value = toRaw(value);
+  if (value instanceof Date) return new Date(value);
+  if (!isObservable(value)) return value; // primitives, functions and class instances are kept as they are
+  if (seen.has(value)) return seen.get(value);
+
+  let copy;
+  if (Array.isArray(value)) copy = [];
+  else if (value instanceof Map) copy = new Map();
+  else if (value instanceof Set) copy = new Set();
+  else copy = Object.create(Object.getPrototypeOf(value));
+  seen.set(value, copy);
+  originOf.set(copy, value);
+
+  if (Array.isArray(value))
+    value.forEach((item, i) => (copy[i] = cloneValue(item, seen)));
+  else if (value instanceof Map)
+    value.forEach((item, key) => copy.set(key, cloneValue(item, seen)));
+  else if (value instanceof Set)
+    value.forEach((item) => copy.add(cloneValue(item, seen)));
+  else
+    Object.keys(value).forEach(
+      (key) => (copy[key] = cloneValue(value[key], seen))
+    );
+  return copy;
+}
+
+function sameValue(a, b, seen = new Map()) {
+  a = toRaw(a);
+  b = toRaw(b);
+  if (Object.is(a, b)) return true;
+  if (a instanceof Date && b instanceof Date)
+    return a.getTime() === b.getTime();
+  if (!isObservable(a) || !isObservable(b)) return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+  if (seen.get(a) === b) return true;
+  seen.set(a, b);
+
+  if (a instanceof Map)
+    return (
+      a.size === b.size &&
+      [...a].every(
+        ([key, item]) => b.has(key) && sameValue(item, b.get(key), seen)
+      )
+    );
+  if (a instanceof Set) {
+    const items = [...b];
+    return (
+      a.size === b.size &&
+      [...a].every((item, i) => sameValue(item, items[i], seen))
+    );
+  }
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(
+      (key) =>
+        Object.prototype.hasOwnProperty.call(b, key) &&
+        sameValue(a[key], b[key], seen)
+    )
+  );
+}
+
+// the raw value a copy stands for, its object brought back to the copied content
+function restoreValue(copy, seen = new Set()) {
+  if (copy instanceof Date) return new Date(copy);
+  const origin = originOf.get(copy);
+  if (!origin) return copy;
+  if (seen.has(copy)) return origin;
+  seen.add(copy);
+
+  const target = reactive(origin); // changes go through the proxy and notify the keys holding it
+  if (Array.isArray(copy)) {
+    const items = copy.map((item) => restoreValue(item, seen));
+    if (
+      items.length !== origin.length ||
+      items.some((item, i) => item !== origin[i])
+    )
+      target.splice(0, origin.length, ...items);
+  } else if (copy instanceof Map) {
+    [...origin.keys()].forEach((key) => copy.has(key) || target.delete(key));
+    copy.forEach((item, key) => target.set(key, restoreValue(item, seen)));
+  } else if (copy instanceof Set) {
+    const items = [...copy].map((item) => restoreValue(item, seen));
+    if (
+      items.length !== origin.size ||
+      items.some((item) => !origin.has(item))
+    ) {
+      target.clear();
+      items.forEach((item) => target.add(item));
+    }
+  } else {
+    Object.keys(origin).forEach((key) => key in copy || delete target[key]);
+    Object.keys(copy).forEach(
+      (key) => (target[key] = restoreValue(copy[key], seen))
+    );
+  }
+  return origin;
+}
+
+function restoreKey(manager, key, copy) {
+  const current = toRaw(manager.state[key]);
+  if (sameValue(current, copy)) return;
+  const value = restoreValue(copy);
+  // patched in place: notify the key even if the object was never read through its proxy
+  if (value === current) manager.notify(key);
+  else manager.proxy[key] = value;
+}
+
+// new ReactiveState(state, { history: { keys, limit } }) records every flush that changed the keys as one step
+// of { key, oldValue, newValue } entries. state.history.undo() and redo() move between the steps.
+function trackHistory(manager, keys, options) {
+  const { limit = 100 } = options;
+  const past = [];
+  const future = [];
+  const status = new ReactiveState(
+    { past: 0, future: 0 },
+    { label: "history" }
+  ); // canUndo and canRedo can be bound
+  const copies = {};
+  let entries = [];
+  keys.forEach((key) => (copies[key] = cloneValue(manager.state[key])));
+
+  const update = () => {
+    status.past = past.length;
+    status.future = future.length;
+  };
+
+  const commit = () => {
+    if (!entries.length) return;
+    past.push(entries);
+    entries = [];
+    past.length > limit && past.splice(0, past.length - limit);
+    future.length = 0;
+    update();
+  };
+
+  const record = (key) => () => {
+    const value = cloneValue(manager.state[key]);
+    if (sameValue(value, copies[key])) return;
+    entries.push({ key, oldValue: copies[key], newValue: value });
+    copies[key] = value;
+    queuePostFlush(commit);
+  };
+  const subscriptions = keys.map((key) => manager.subscribe(key, record(key)));
+
+  // changes waiting for the flush are a step of their own
+  const settle = () => !flushing && !batchDepth && flushJobs();
+
+  const move = (from, to, side) => {
+    settle();
+    const step = from.pop();
+    if (!step) return false;
+    const ordered = side === "oldValue" ? [...step].reverse() : step;
+    batch(() => {
+      ordered.forEach((entry) => restoreKey(manager, entry.key, entry[side]));
+      // what was restored is not recorded again
+      ordered.forEach(
+        ({ key }) => (copies[key] = cloneValue(manager.state[key]))
+      );
+    });
+    to.push(step);
+    update();
+    return true;
+  };
+
+  return {
+    past,
+    future,
+    get canUndo() {
+      return status.past > 0;
+    },
+    get canRedo() {
+      return status.future > 0;
+    },
+    undo: () => move(past, future, "oldValue"),
+    redo: () => move(future, past, "newValue"),
+    // the changes made by fn are a single step
+    transaction(fn) {
+      settle();
+      return batch(fn);
+    },
+    // the changes made by fn are not recorded
+    ignore(fn) {
+      settle();
+      return batch(() => {
+        const result = fn();
+        keys.forEach((key) => (copies[key] = cloneValue(manager.state[key])));
+        return result;
+      });
+    },
+    clear() {
+      past.length = future.length = 0;
+      entries = [];
+      update();
+    },
+    stop() {
+      subscriptions.forEach(({ unsubscribe }) => unsubscribe());
+      status.destroy();
+    },
+  };
+}
+
+// plugins
+// master.use(plugin) adds an object of hooks, every hook is optional:
+// init({ state, label }) and dispose({ state }): a ReactiveState was created or destroyed
+// set(change): a key is about to be set, change is { state, key, value, oldValue }. assign change.value to
+//   store something else, return false to keep the old value. only keys of the state: changes inside a key
+//   (state.user.name = "x", push) don't go through set, notify reports them after the fact
+// notify({ state, key, subscribers }): a key changed (set or mutated inside) and its subscribers are queued
+// update({ updater, dependencies, duration }): an updater of a template ran again, dependencies maps states to the keys it read
+// create({ nodes, host, state }) and destroy(...): a template or component was rendered or released
+const plugins = [];
+const stateLabels = new WeakMap(); // state.proxy -> name shown by the logger and the inspector
+let stateCount = 0;
+
+function use(plugin) {
+  if (!plugin || typeof plugin !== "object")
+    return console.error("Error: a plugin is an object of hooks.");
+  plugins.includes(plugin) || plugins.push(plugin);
+  return {
+    unsubscribe: () => {
+      const index = plugins.indexOf(plugin);
+      index !== -1 && plugins.splice(index, 1);
+    },
+  };
+}
+
+// a hook returning false stops the hooks after it and vetoes the change
+function callPlugins(hook, event) {
+  for (const plugin of [...plugins]) {
+    if (typeof plugin[hook] !== "function") continue;
+    try {
+      if (plugin[hook](event) === false) return false;
+    } catch (error) {
+      console.error(`Error in the ${hook} hook of a plugin:`, error);
+    }
+  }
+  return true;
+}
+
+// by proxy: hooks get the state itself or the proxy around it that the constructor returned
+function labelOf({ proxy }) {
+  if (!stateLabels.has(proxy)) stateLabels.set(proxy, `state ${++stateCount}`);
+  return stateLabels.get(proxy);
+}
+
+function preview(value, length = 60) {
+  if (typeof value === "function") return `ƒ ${value.name || "anonymous"}()`;
+  if (typeof value === "string") value = JSON.stringify(value);
+  else if (value && typeof value === "object")
+    value = JSON.stringify(toStorable(value)) ?? "{…}";
+  else value = String(value);
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+// master.use(master.logger({ filter: (state, key) => key !== "mouse", trace: true, elements: true }))
+// logs sets (old → new), keys changed inside, the updaters each update ran and, with elements, renders
+function logger(options = {}) {
+  const { filter = () => true, trace = false, elements = false } = options;
+  const style = "color: #0a7; font-weight: bold";
+  let lastSet = null; // set() is followed by its notify(), which is not logged twice
+  let updaters = 0;
+  let time = 0;
+
+  const log = (...args) =>
+    trace ? console.trace(...args) : console.log(...args);
+  const report = () => {
+    console.log(
+      `%c[dom_master]%c ${updaters} updaters ran in ${time.toFixed(1)} ms`,
+      style,
+      ""
+    );
+    updaters = time = 0;
+  };
+
+  return {
+    set({ state, key, value, oldValue }) {
+      if (!filter(state, key)) return;
+      lastSet = { state, key };
+      log(
+        `%c[${labelOf(state)}]%c ${String(key)}:`,
+        style,
+        "",
+        oldValue,
+        "→",
+        value
+      );
+    },
+    notify({ state, key, subscribers }) {
+      const isSet = lastSet?.state === state && lastSet.key === key;
+      lastSet = null;
+      if (isSet || !filter(state, key)) return;
+      log(
+        `%c[${labelOf(state)}]%c ${String(
+          key
+        )} changed inside, ${subscribers} subscribers`,
+        style,
+        ""
+      );
+    },
+    update({ duration }) {
+      updaters++ || queuePostFlush(report);
+      time += duration;
+    },
+    create({ host, state }) {
+      elements &&
+        console.log(
+          `%c[dom_master]%c rendered ${
+            host ? `<${host.localName}>` : labelOf(state)
+          }`,
+          style,
+          ""
+        );
+    },
+    destroy({ host, state }) {
+      elements &&
+        console.log(
+          `%c[dom_master]%c released ${
+            host ? `<${host.localName}>` : labelOf(state)
+          }`,
+          style,
+          ""
+        );
+    },
+  };
+}
+
+// master.use(master.inspector({ limit: 200, stacks: true })) adds a panel to the page: every ReactiveState with its
+// keys, values and subscribers per key, and a timeline of the changes with the updaters they ran
+function inspector(options = {}) {
+  const { limit = 200, stacks = false, target } = options;
+  const page = typeof document !== "undefined" ? document : null; // not doc: renderToString swaps it
+  if (!page) return {};
+
+  const states = new Set();
+  const opened = new WeakSet(); // states whose details are open
+  const timeline = [];
+  let pending = null; // entries whose updaters are still counted
+  let scheduled = false;
+  let lastSet = null;
+
+  const panel = page.createElement("div");
+  panel.setAttribute("data-dom-master-inspector", "");
+  panel.style.cssText =
+    "position: fixed; right: 0; bottom: 0; z-index: 2147483647; width: 420px; max-height: 50vh; overflow: auto;" +
+    "font: 12px/1.4 monospace; background: #1e1e1e; color: #ddd; border: 1px solid #444; padding: 6px";
+  (target || page.body || page.documentElement).appendChild(panel);
+
+  const element = (tag, text, css) => {
+    const node = page.createElement(tag);
+    if (text !== undefined) node.textContent = text;
+    if (css) node.style.cssText = css;
+    return node;
+  };
+  const cell = "padding: 0 6px; vertical-align: top";
+
+  const renderState = (state) => {
+    const details = element("details");
+    details.open = opened.has(state);
+    details.addEventListener("toggle", () =>
+      details.open ? opened.add(state) : opened.delete(state)
+    );
+    const keys = Object.keys(state.state);
+    details.appendChild(
+      element("summary", `${labelOf(state)} (${keys.length} keys)`)
+    );
+
+    const table = element("table", undefined, "border-collapse: collapse");
+    table
+      .appendChild(element("tr"))
+      .append(
+        ...["key", "value", "subscribers"].map((name) =>
+          element("th", name, `${cell}; text-align: left`)
+        )
+      );
+    keys.forEach((key) => {
+      const value = untrack(() => state.state[key]);
+      const subscribers =
+        (state.subscribers.get(key)?.size || 0) +
+        state.expressions.filter(({ variables }) => variables.includes(key))
+          .length;
+      table
+        .appendChild(element("tr"))
+        .append(
+          element("td", key, cell),
+          element("td", preview(value), cell),
+          element("td", subscribers, cell)
+        );
+    });
+    details.appendChild(table);
+    return details;
+  };
+
+  const renderEntry = (entry) => {
+    const item = element("li");
+    const time = new Date(entry.time).toLocaleTimeString();
+    const change = entry.set
+      ? `${preview(entry.oldValue, 30)} → ${preview(entry.value, 30)}`
+      : "changed inside";
+    item.textContent = `${time} ${labelOf(entry.state)}.${String(
+      entry.key
+    )}: ${change}, ${entry.subscribers} subscribers, ${
+      entry.updaters
+    } updaters`;
+    if (entry.stack) item.title = entry.stack;
+    return item;
+  };
+
+  const render = () => {
+    scheduled = false;
+    pending = null;
+    const header = element(
+      "div",
+      undefined,
+      "display: flex; gap: 6px; align-items: center; margin-bottom: 4px"
+    );
+    const clear = element("button", "clear timeline");
+    clear.onclick = () => {
+      timeline.length = 0;
+      schedule();
+    };
+    header.append(element("strong", "dom_master", "flex: 1"), clear);
+
+    const list = element("ol", undefined, "margin: 0; padding-left: 20px");
+    list.append(...timeline.slice().reverse().map(renderEntry));
+    panel.replaceChildren(
+      header,
+      element("div", `states (${states.size})`, "color: #8cf"),
+      ...[...states].map(renderState),
+      element(
+        "div",
+        `timeline (${timeline.length})`,
+        "color: #8cf; margin-top: 6px"
+      ),
+      list
+    );
+  };
+
+  // the panel is redrawn once things settle, never from inside an update
+  const schedule = () => {
+    if (scheduled) return;
+    scheduled = true;
+    setTimeout(render, 100);
+  };
+
+  const addEntry = (entry) => {
+    timeline.push(entry);
+    timeline.length > limit && timeline.splice(0, timeline.length - limit);
+    (pending ||= []).push(entry);
+    schedule();
+  };
+
+  schedule();
+  return {
+    init({ state }) {
+      states.add(state);
+      schedule();
+    },
+    dispose({ state }) {
+      states.delete(state);
+      schedule();
+    },
+    set({ state, key, value, oldValue }) {
+      lastSet = { state, key, value, oldValue };
+    },
+    notify({ state, key, subscribers }) {
+      const set =
+        lastSet?.state === state && lastSet.key === key ? lastSet : null;
+      lastSet = null;
+      addEntry({
+        time: Date.now(),
+        state,
+        key,
+        set: !!set,
+        value: set?.value,
+        oldValue: set?.oldValue,
+        subscribers,
+        updaters: 0,
+        stack: stacks
+          ? new Error().stack.split("\n").slice(2).join("\n")
+          : null,
+      });
+    },
+    // an updater counts for the changes it depends on
+    update({ dependencies }) {
+      pending?.forEach(
+        (entry) =>
+          dependencies.get(entry.state)?.has(entry.key) && entry.updaters++
+      );
+      schedule();
+    },
+    create: schedule,
+    destroy: schedule,
+  };
+}
+
+// schema
+// new ReactiveState(state, { schema: { count: { type: "number", min: 0 } }, strict }) checks keys as they are set.
+// strict throws and keeps the old value. otherwise a value of the wrong type is converted when it can be
+// ("3" for a number), and what still doesn't pass is stored with its message in state.errors.
+// errors has every key of the schema, "" when it passes. state.valid is true while all of them pass.
+const typeChecks = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && !Number.isNaN(value),
+  boolean: (value) => typeof value === "boolean",
+  array: Array.isArray,
+  object: (value) => typeof value === "object" && !Array.isArray(value),
+  date: (value) => value instanceof Date && !Number.isNaN(value.getTime()),
+  function: (value) => typeof value === "function",
+};
+
+const coercions = {
+  number: (value) =>
+    typeof value === "string" && value.trim() ? Number(value) : undefined,
+  boolean: (value) =>
+    value === "true" ? true : value === "false" ? false : undefined,
+  string: (value) =>
+    typeof value === "number" || typeof value === "boolean"
+      ? String(value)
+      : undefined,
+  date: (value) =>
+    typeof value === "string" || typeof value === "number"
+      ? new Date(value)
+      : undefined,
+};
+
+const withArticle = (type) => `${/^[aeiou]/.test(type) ? "an" : "a"} ${type}`;
+
+// the message of the first rule the value breaks, null when it passes
+function checkValue(key, rule, value, state) {
+  const fail = (message) => rule.message || message;
+  if (isEmpty(value)) return rule.required ? fail(`${key} is required`) : null;
+
+  const types = [].concat(rule.type || []);
+  if (types.length && !types.some((type) => typeChecks[type]?.(value)))
+    return fail(`${key} must be ${types.map(withArticle).join(" or ")}`);
+
+  const unit = typeof value === "string" ? "characters" : "items";
+  const size = value?.length;
+  if (rule.min !== undefined && value < rule.min)
+    return fail(`${key} must be at least ${rule.min}`);
+  if (rule.max !== undefined && value > rule.max)
+    return fail(`${key} must be at most ${rule.max}`);
+  if (rule.integer && !Number.isInteger(value))
+    return fail(`${key} must be a whole number`);
+  if (rule.minLength !== undefined && !(size >= rule.minLength))
+    return fail(`${key} must have at least ${rule.minLength} ${unit}`);
+  if (rule.maxLength !== undefined && !(size <= rule.maxLength))
+    return fail(`${key} must have at most ${rule.maxLength} ${unit}`);
+  if (rule.pattern && !new RegExp(rule.pattern).test(value))
+    return fail(`${key} doesn't match ${rule.pattern}`);
+  if (rule.enum && !rule.enum.includes(value))
+    return fail(`${key} must be one of ${rule.enum.join(", ")}`);
+
+  if (rule.validate) {
+    // true (or nothing) passes, false or a message fails
+    const result = rule.validate.call(state, value, state);
+    if (result === false) return fail(`${key} is not valid`);
+    if (typeof result === "string") return result;
+  }
+  return null;
+}
+
+function createValidator(manager, schema, strict) {
+  const rules = {};
+  Object.entries(schema).forEach(([key, rule]) => {
+    // "number" or ["number", "string"] is short for { type }
+    rules[key] =
+      typeof rule === "string" || Array.isArray(rule) ? { type: rule } : rule;
+  });
+
+  const convert = (rule, value) => {
+    for (const type of [].concat(rule.type || [])) {
+      const converted = coercions[type]?.(value);
+      if (converted !== undefined && typeChecks[type](converted))
+        return converted;
+    }
+  };
+
+  // errors is updated through its proxy so bindings and valid follow
+  const record = (key, message) =>
+    (reactive(manager.state.errors)[key] = message || "");
+
+  // the value to store
+  const check = (key, value) =>
+    untrack(() => {
+      const rule = rules[key];
+      if (!rule) return value;
+      let message = checkValue(key, rule, value, manager.proxy);
+
+      if (message && strict) throw new Error(`Error: ${message}.`);
+      const converted = message && convert(rule, value);
+      if (converted !== undefined && message) {
+        value = converted;
+        message = checkValue(key, rule, value, manager.proxy);
+      }
+      record(key, message);
+      return value;
+    });
+
+  return {
+    check,
+    // the state it starts with is converted, what doesn't pass is only recorded: a form starts empty
+    start() {
+      Object.entries(rules).forEach(([key, rule]) => {
+        let value = manager.state[key];
+        let message = checkValue(key, rule, value, manager.proxy);
+        const converted = message && convert(rule, value);
+        if (converted !== undefined && message) {
+          value = manager.state[key] = converted;
+          message = checkValue(key, rule, value, manager.proxy);
+        }
+        manager.state.errors[key] = message || "";
+      });
+      // changes made inside objects and arrays are checked once they are notified
+      Object.entries(rules).forEach(([key, rule]) =>
+        manager.subscribe(key, () =>
+          untrack(() =>
+            record(
+              key,
+              checkValue(key, rule, manager.state[key], manager.proxy)
+            )
+          )
+        )
+      );
+    },
+  };
+}
+
+// utils
+// scope of a dynamically created node: reads and writes go to the local state first, then to the parent scope
+function createLocalProxy(localState, globalState) {
+  return new Proxy(
+    {},
+    {
+      get(_, key) {
+        if (Object.hasOwn(localState, key)) return localState[key];
+        return globalState[key];
+      },
+      set(_, key, value) {
+        if (Object.hasOwn(localState, key)) {
+          localState[key] = value;
+          return true;
+        }
+        if (key in globalState) {
+          globalState[key] = value;
+          return true;
+        }
+        return false;
+      },
+      // own keys only: constructor or __proto__ from Object.prototype are not variables
+      has(_, key) {
+        return Object.hasOwn(localState, key) || key in globalState;
+      },
+    }
+  );
+}
+
+// text and attributes are read the same way, see templateParts
+function hasExpression(template) {
+  return templateParts(template).some((part) => typeof part !== "string");
+}
+
+function replaceVariables(template, variables) {
+  return interpolate(templateParts(template), variables);
+}
+
+// templates: text and {expression} parts. braces inside an expression are balanced, so text
+// and attributes can hold object literals and template strings: class="{ { active: isActive } }", {`${n} items`}
+const templatePartsCache = new Map();
+
+function templateParts(template) {
+  if (templatePartsCache.has(template)) return templatePartsCache.get(template);
+
+  const parts = [];
+  let text = "";
+  for (let i = 0; i < template.length; i++) {
+    const end = template[i] === "{" ? matchingBrace(template, i) : -1;
+    if (end === -1 || !template.slice(i + 1, end).trim()) {
+      text += template[i];
+      continue;
+    }
+    if (text) parts.push(text);
+    text = "";
+    parts.push({ expression: template.slice(i + 1, end).trim() });
+    i = end;
+  }
+  if (text) parts.push(text);
+
+  templatePartsCache.set(template, parts);
+  return parts;
+}
+
+// index of the } closing the { at start, or -1
+function matchingBrace(source, start) {
+  let depth = 0;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (char === '"' || char === "'" || char === "`") {
+      while (++i < source.length && source[i] !== char) {
+        if (source[i] === "\\") i++; // escaped character
+      }
+    } else if (char === "{") depth++;
+    else if (char === "}" && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function interpolate(parts, variables, format = String) {
+  return parts
+    .map((part) =>
+      typeof part === "string"
+        ? part
+        : format(evaluateExpression(part.expression, variables))
+    )
+    .join("");
+}
+
+// a single {expression} keeps its type (objects, arrays, functions), mixed text becomes a string
+function evaluateTemplate(template, variables) {
+  const parts = templateParts(template.trim());
+  if (parts.length === 1 && typeof parts[0] !== "string") {
+    return evaluateExpression(parts[0].expression, variables);
+  }
+  return hasExpression(template)
+    ? interpolate(templateParts(template), variables)
+    : template;
+}
+
+// expressions
+// "function" (the default) compiles expressions with new Function and `with`, "safe" uses the
+// interpreter below, which needs no eval and only sees the scope and a few globals.
+// "function" switches to "safe" by itself when a Content-Security-Policy blocks new Function.
+// locale: used by the Intl filters, sanitize: (html) => safe html, for the html directive
+const settings = { expressions: "function", locale: undefined, sanitize: null };
+
+function configure(options = {}) {
+  Object.assign(settings, options);
+}
+
+// compiled once per source and mode. kinds: "expression" -> fn(scope),
+// "statements" (event handlers) -> fn(scope, $event), "assignment" -> fn(scope, value)
+const compiledCache = { function: new Map(), safe: new Map() };
+
+function compileExpression(source, kind) {
+  if (settings.expressions !== "safe") {
+    try {
+      return cached("function", source, kind, compileFunction);
+    } catch (error) {
+      if (!(error instanceof EvalError)) throw error;
+      console.warn(
+        "new Function is blocked, switching to the safe expression evaluator."
+      );
+      settings.expressions = "safe";
+    }
+  }
+  return cached("safe", source, kind, compileSafe);
+}
+
+function cached(mode, source, kind, compiler) {
+  const cache = compiledCache[mode];
+  const key = `${kind}:${source}`;
+  if (!cache.has(key)) cache.set(key, compiler(source, kind));
+  return cache.get(key);
+}
+
+// `with` resolves identifiers through the state proxy, so only the keys an expression reads are tracked
+function compileFunction(source, kind) {
+  if (kind === "statements") {
+    const fn = new Function(
+      "__scope",
+      "$event",
+      `with (__scope) { ${source}; }`
+    );
+    return (scope, event) => fn.call(scope, scope, event);
+  }
+  if (kind === "assignment") {
+    const fn = new Function(
+      "__scope",
+      "__value",
+      `with (__scope) { ${source} = __value; }`
+    );
+    return (scope, value) => fn.call(scope, scope, value);
+  }
+  const fn = new Function("__scope", `with (__scope) { return (${source}); }`);
+  return (scope) => fn.call(scope, scope);
+}
+
+function compileSafe(source, kind) {
+  const node = parseSource(source, kind);
+  if (kind === "statements") {
+    const run = compileNode(node);
+    return (scope, event) => run(createLocalProxy({ $event: event }, scope));
+  }
+  if (kind === "assignment") {
+    const reference = compileReference(node);
+    return (scope, value) => reference(scope).set(value);
+  }
+  return compileNode(node);
+}
+
+// safe expressions
+// a parser and interpreter for the template language: literals, template strings, members, calls,
+// optional chaining, operators, ternaries, assignments, arrays, objects and arrow functions.
+const safeGlobals = {
+  Math,
+  JSON,
+  Number,
+  String,
+  Boolean,
+  Array,
+  Date,
+  Intl,
+  // no getPrototypeOf or defineProperty: they would give a way around blockedProperties,
+  // no assign: it writes to objects of the page
+  Object: {
+    keys: Object.keys,
+    values: Object.values,
+    entries: Object.entries,
+    fromEntries: Object.fromEntries,
+  },
+  parseInt,
+  parseFloat,
+  isNaN,
+  isFinite,
+  encodeURIComponent,
+  decodeURIComponent,
+  undefined,
+  NaN,
+  Infinity,
+};
+const blockedProperties = new Set([
+  "constructor",
+  "prototype",
+  "__proto__",
+  "__defineGetter__",
+  "__defineSetter__",
+  "__lookupGetter__",
+  "__lookupSetter__",
+]);
+
+const punctuators = [
+  "...",
+  "===",
+  "!==",
+  "**=",
+  "??=",
+  "||=",
+  "&&=",
+  "=>",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "??",
+  "?.",
+  "++",
+  "--",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "**",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "<",
+  ">",
+  "!",
+  "=",
+  "?",
+  ":",
+  ".",
+  ",",
+  "(",
+  ")",
+  "[",
+  "]",
+  "{",
+  "}",
+  ";",
+];
+const assignmentOperators = [
+  "=",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "**=",
+  "??=",
+  "||=",
+  "&&=",
+];
+const logicalOperators = ["&&", "||", "??"];
+const binaryPrecedence = new Map([
+  ["??", 1],
+  ["||", 2],
+  ["&&", 3],
+  ["==", 6],
+  ["!=", 6],
+  ["===", 6],
+  ["!==", 6],
+  ["<", 7],
+  [">", 7],
+  ["<=", 7],
+  [">=", 7],
+  ["in", 7],
+  ["instanceof", 7],
+  ["+", 9],
+  ["-", 9],
+  ["*", 10],
+  ["/", 10],
+  ["%", 10],
+  ["**", 11],
+]);
+const binaryOperators = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "%": (a, b) => a % b,
+  "**": (a, b) => a ** b,
+  "==": (a, b) => a == b,
+  "!=": (a, b) => a != b,
+  "===": (a, b) => a === b,
+  "!==": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  ">": (a, b) => a > b,
+  "<=": (a, b) => a <= b,
+  ">=": (a, b) => a >= b,
+  in: (a, b) => a in b,
+  instanceof: (a, b) => a instanceof b,
+};
+const unaryOperators = {
+  "!": (a) => !a,
+  "-": (a) => -a,
+  "+": (a) => +a,
+  typeof: (a) => typeof a,
+  void: () => undefined,
+};
+const literalNames = new Map([
+  ["true", true],
+  ["false", false],
+  ["null", null],
+]);
+const escapes = {
+  n: "\n",
+  t: "\t",
+  r: "\r",
+  b: "\b",
+  f: "\f",
+  v: "\v",
+  0: "\0",
+};
+
+// reads the string or template chunk starting after `start` up to the closing character
+function readQuoted(source, start, close) {
+  let value = "";
+  let i = start;
+  while (i < source.length && source[i] !== close) {
+    if (close === "`" && source.startsWith("${", i)) break;
+    if (source[i] !== "\\") {
+      value += source[i++];
+      continue;
+    }
+    const next = source[i + 1];
+    if (next === "u") {
+      const match = source
+        .slice(i + 2)
+        .match(/^\{([0-9a-fA-F]+)\}|^[0-9a-fA-F]{4}/);
+      value += String.fromCodePoint(parseInt(match[1] || match[0], 16));
+      i += 2 + match[0].length;
+    } else if (next === "x") {
+      value += String.fromCharCode(parseInt(source.substr(i + 2, 2), 16));
+      i += 4;
+    } else {
+      value += escapes[next] ?? next;
+      i += 2;
+    }
+  }
+  if (i >= source.length)
+    throw new SyntaxError(`Unterminated string in ${source}`);
+  return { value, end: i };
+}
+
+// index of the } closing the ${ opened before start, strings inside are skipped
+function skipInterpolation(source, start) {
+  let depth = 1;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (char === '"' || char === "'") i = readQuoted(source, i + 1, char).end;
+    else if (char === "{") depth++;
+    else if (char === "}" && --depth === 0) return i;
+  }
+  throw new SyntaxError(`Unterminated template string in ${source}`);
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const rest = source.slice(i);
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (
+      /[0-9]/.test(char) ||
+      (char === "." && /[0-9]/.test(source[i + 1]))
+    ) {
+      const [number] = rest.match(
+        /^(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/
+      );
+      tokens.push({ type: "number", value: Number(number) });
+      i += number.length;
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const [name] = rest.match(/^[\w$]+/);
+      tokens.push({ type: "name", value: name });
+      i += name.length;
+    } else if (char === '"' || char === "'") {
+      const { value, end } = readQuoted(source, i + 1, char);
+      tokens.push({ type: "string", value });
+      i = end + 1;
+    } else if (char === "`") {
+      // `text ${expression} text`: quasis are the text parts, expressions the sources in between
+      const quasis = [];
+      const expressions = [];
+      i++;
+      for (;;) {
+        const { value, end } = readQuoted(source, i, "`");
+        quasis.push(value);
+        if (source[end] === "`") {
+          i = end + 1;
+          break;
+        }
+        const close = skipInterpolation(source, end + 2);
+        expressions.push(source.slice(end + 2, close));
+        i = close + 1;
+      }
+      tokens.push({ type: "template", quasis, expressions });
+    } else {
+      let punctuator = punctuators.find((p) => source.startsWith(p, i));
+      if (!punctuator)
+        throw new SyntaxError(`Unexpected character ${char} in ${source}`);
+      if (punctuator === "?." && /[0-9]/.test(source[i + 2])) punctuator = "?"; // a ?.5 : 1
+      tokens.push({ type: "punctuator", value: punctuator });
+      i += punctuator.length;
+    }
+  }
+  tokens.push({ type: "end" });
+  return tokens;
+}
+
+// builds the syntax tree of an expression, or of ;-separated statements
+function parseSource(source, kind) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = (offset = 0) => tokens[position + offset];
+  const next = () => tokens[position++];
+  const is = (value, offset = 0) => {
+    const token = peek(offset);
+    return (
+      (token.type === "punctuator" || token.type === "name") &&
+      token.value === value
+    );
+  };
+  const fail = () => {
+    const token = peek();
+    const found =
+      token.type === "end" ? "end of expression" : `token ${token.value}`;
+    throw new SyntaxError(`Unexpected ${found} in ${source}`);
+  };
+  const expect = (value) => (is(value) ? next() : fail());
+  const parseName = () => (peek().type === "name" ? next().value : fail());
+
+  function parseStatements() {
+    const expressions = [];
+    while (peek().type !== "end") {
+      if (is(";")) {
+        next();
+        continue;
+      }
+      expressions.push(parseAssignment());
+      if (!is(";") && peek().type !== "end") fail();
+    }
+    return { type: "sequence", expressions };
+  }
+
+  function parseAssignment() {
+    if (isArrow()) return parseArrow();
+    const left = parseConditional();
+    const token = peek();
+    if (
+      token.type === "punctuator" &&
+      assignmentOperators.includes(token.value)
+    ) {
+      next();
+      return {
+        type: "assign",
+        operator: token.value,
+        target: left,
+        value: parseAssignment(),
+      };
+    }
+    return left;
+  }
+
+  function isArrow() {
+    if (peek().type === "name" && is("=>", 1)) return true;
+    if (!is("(")) return false;
+    let depth = 0;
+    for (let i = position; i < tokens.length; i++) {
+      const { type, value } = tokens[i];
+      if (type !== "punctuator") continue;
+      if (value === "(") depth++;
+      else if (value === ")" && --depth === 0) {
+        return (
+          tokens[i + 1].type === "punctuator" && tokens[i + 1].value === "=>"
+        );
+      }
+    }
+    return false;
+  }
+
+  function parseArrow() {
+    const params = [];
+    if (peek().type === "name") {
+      params.push(next().value);
+    } else {
+      expect("(");
+      while (!is(")")) {
+        params.push(parseName());
+        if (!is(")")) expect(",");
+      }
+      next();
+    }
+    expect("=>");
+    return { type: "arrow", params, body: parseAssignment() };
+  }
+
+  function parseConditional() {
+    const test = parseBinary(1);
+    if (!is("?")) return test;
+    next();
+    const consequent = parseAssignment();
+    expect(":");
+    return {
+      type: "conditional",
+      test,
+      consequent,
+      alternate: parseAssignment(),
+    };
+  }
+
+  function parseBinary(minPrecedence) {
+    let left = parseUnary();
+    for (;;) {
+      const { type, value: operator } = peek();
+      const precedence =
+        (type === "punctuator" || type === "name") &&
+        binaryPrecedence.get(operator);
+      if (!precedence || precedence < minPrecedence) return left;
+      next();
+      // ** is right associative
+      const right = parseBinary(
+        operator === "**" ? precedence : precedence + 1
+      );
+      const nodeType = logicalOperators.includes(operator)
+        ? "logical"
+        : "binary";
+      left = { type: nodeType, operator, left, right };
+    }
+  }
+
+  function parseUnary() {
+    const { type, value } = peek();
+    const isUnary =
+      (type === "punctuator" && ["!", "-", "+", "++", "--"].includes(value)) ||
+      (type === "name" && (value === "typeof" || value === "void"));
+    if (isUnary) {
+      next();
+      const argument = parseUnary();
+      if (value === "++" || value === "--")
+        return { type: "update", operator: value, prefix: true, argument };
+      return { type: "unary", operator: value, argument };
+    }
+
+    const argument = parseCall();
+    if (is("++") || is("--"))
+      return {
+        type: "update",
+        operator: next().value,
+        prefix: false,
+        argument,
+      };
+    return argument;
+  }
+
+  // members and calls, a chain with ?. is wrapped so it can stop as a whole
+  function parseCall() {
+    let expression = parsePrimary();
+    let isOptional = false;
+
+    for (;;) {
+      const optional = is("?.");
+      if (optional) {
+        next();
+        isOptional = true;
+      }
+
+      if (is("(")) {
+        expression = {
+          type: "call",
+          callee: expression,
+          args: parseElements("(", ")"),
+          optional,
+        };
+      } else if (is("[")) {
+        next();
+        const property = parseAssignment();
+        expect("]");
+        expression = {
+          type: "member",
+          object: expression,
+          property,
+          computed: true,
+          optional,
+        };
+      } else if (optional || is(".")) {
+        if (!optional) next();
+        expression = {
+          type: "member",
+          object: expression,
+          property: parseName(),
+          optional,
+        };
+      } else {
+        break;
+      }
+    }
+    return isOptional ? { type: "chain", expression } : expression;
+  }
+
+  // arguments and array elements, with ...spread
+  function parseElements(open, close) {
+    expect(open);
+    const elements = [];
+    while (!is(close)) {
+      if (is("...")) {
+        next();
+        elements.push({ type: "spread", argument: parseAssignment() });
+      } else {
+        elements.push(parseAssignment());
+      }
+      if (!is(close)) expect(",");
+    }
+    next();
+    return elements;
+  }
+
+  function parseObject() {
+    const properties = [];
+    expect("{");
+    while (!is("}")) {
+      if (is("...")) {
+        next();
+        properties.push({ type: "spread", argument: parseAssignment() });
+      } else {
+        const token = next();
+        let key = String(token.value);
+        let computed = false;
+
+        if (token.type === "punctuator" && token.value === "[") {
+          key = parseAssignment();
+          computed = true;
+          expect("]");
+        } else if (!["name", "string", "number"].includes(token.type)) {
+          position--;
+          fail();
+        }
+
+        if (token.type === "name" && (is(",") || is("}"))) {
+          properties.push({ key, value: { type: "identifier", name: key } }); // { count }
+        } else {
+          expect(":");
+          properties.push({ key, computed, value: parseAssignment() });
+        }
+      }
+      if (!is("}")) expect(",");
+    }
+    next();
+    return { type: "object", properties };
+  }
+
+  function parsePrimary() {
+    const token = peek();
+
+    if (token.type === "number" || token.type === "string") {
+      next();
+      return { type: "literal", value: token.value };
+    }
+    if (token.type === "template") {
+      next();
+      const expressions = token.expressions.map((source) =>
+        parseSource(source, "expression")
+      );
+      return { type: "template", quasis: token.quasis, expressions };
+    }
+    if (token.type === "name") {
+      next();
+      if (literalNames.has(token.value))
+        return { type: "literal", value: literalNames.get(token.value) };
+      if (token.value === "this") return { type: "this" };
+      if (token.value === "new") {
+        let callee = parsePrimary();
+        while (is(".")) {
+          next();
+          callee = { type: "member", object: callee, property: parseName() };
+        }
+        return {
+          type: "new",
+          callee,
+          args: is("(") ? parseElements("(", ")") : [],
+        };
+      }
+      return { type: "identifier", name: token.value };
+    }
+    if (is("(")) {
+      next();
+      const expression = parseAssignment();
+      expect(")");
+      return expression;
+    }
+    if (is("[")) return { type: "array", elements: parseElements("[", "]") };
+    if (is("{")) return parseObject();
+    return fail();
+  }
+
+  const node = kind === "statements" ? parseStatements() : parseAssignment();
+  if (peek().type !== "end") fail();
+  return node;
+}
+
+const SHORT = Symbol("dom_master_short"); // an optional chain met null or undefined
+
+function lookup(scope, name, optional) {
+  checkProperty(name);
+  if (name in scope) return scope[name];
+  if (Object.hasOwn(safeGlobals, name)) return safeGlobals[name];
+  if (optional) return undefined; // typeof missing
+  throw new ReferenceError(`${name} is not defined`);
+}
+
+function checkProperty(key) {
+  if (blockedProperties.has(key))
+    throw new TypeError(`${String(key)} can't be used in an expression`);
+  return key;
+}
+
+function compileProperty(node) {
+  return node.computed ? compileNode(node.property) : () => node.property;
+}
+
+function compileElements(elements) {
+  const compiled = elements.map((element) =>
+    element.type === "spread"
+      ? { spread: compileNode(element.argument) }
+      : { value: compileNode(element) }
+  );
+  return (scope) =>
+    compiled.flatMap(({ spread, value }) =>
+      spread ? [...spread(scope)] : [value(scope)]
+    );
+}
+
+// assignable expressions give a reference: { get(), set(value) }
+function compileReference(node) {
+  if (node.type === "identifier") {
+    const { name } = node;
+    return (scope) => ({
+      get: () => lookup(scope, name),
+      set: (value) => {
+        checkProperty(name);
+        if (!(name in scope))
+          throw new ReferenceError(`${name} is not defined`);
+        scope[name] = value;
+      },
+    });
+  }
+  if (node.type === "member" && !node.optional) {
+    const object = compileNode(node.object);
+    const property = compileProperty(node);
+    return (scope) => {
+      const target = object(scope);
+      const key = checkProperty(property(scope));
+      return { get: () => target[key], set: (value) => (target[key] = value) };
+    };
+  }
+  throw new SyntaxError("Invalid assignment target");
+}
+
+// turns a syntax tree into a function of the scope
+function compileNode(node) {
+  switch (node.type) {
+    case "literal": {
+      const { value } = node;
+      return () => value;
+    }
+    case "this":
+      return (scope) => scope;
+    case "identifier": {
+      const { name } = node;
+      return (scope) => lookup(scope, name);
+    }
+    case "template": {
+      const expressions = node.expressions.map(compileNode);
+      return (scope) =>
+        node.quasis.reduce(
+          (text, quasi, i) =>
+            text +
+            quasi +
+            (i < expressions.length ? String(expressions[i](scope)) : ""),
+          ""
+        );
+    }
+    case "array":
+      return compileElements(node.elements);
+    case "object": {
+      const properties = node.properties.map((property) =>
+        property.type === "spread"
+          ? { spread: compileNode(property.argument) }
+          : {
+              key: property.computed
+                ? compileNode(property.key)
+                : () => property.key,
+              value: compileNode(property.value),
+            }
+      );
+      return (scope) => {
+        const object = {};
+        properties.forEach(({ spread, key, value }) => {
+          if (spread) Object.assign(object, spread(scope));
+          else object[checkProperty(key(scope))] = value(scope);
+        });
+        return object;
+      };
+    }
+    case "chain": {
+      const expression = compileNode(node.expression);
+      return (scope) => {
+        const value = expression(scope);
+        return value === SHORT ? undefined : value;
+      };
+    }
+    case "member": {
+      const object = compileNode(node.object);
+      const property = compileProperty(node);
+      return (scope) => {
+        const target = object(scope);
+        if (target === SHORT || (node.optional && target == null)) return SHORT;
+        return target[checkProperty(property(scope))];
+      };
+    }
+    case "call": {
+      const { callee } = node;
+      const args = compileElements(node.args);
+      // methods are called on their object, functions of the scope on the scope, like `with` does
+      let getFunction;
+      if (callee.type === "member") {
+        const object = compileNode(callee.object);
+        const property = compileProperty(callee);
+        getFunction = (scope) => {
+          const target = object(scope);
+          if (target === SHORT || (callee.optional && target == null))
+            return SHORT;
+          return [target[checkProperty(property(scope))], target];
+        };
+      } else {
+        const fn = compileNode(callee);
+        getFunction = (scope) => {
+          const value = fn(scope);
+          return value === SHORT ? SHORT : [value, scope];
+        };
+      }
+      const name = callee.name || callee.property || "expression";
+
+      return (scope) => {
+        const reference = getFunction(scope);
+        if (reference === SHORT) return SHORT;
+        const [fn, thisArg] = reference;
+        if (node.optional && fn == null) return SHORT;
+        if (typeof fn !== "function")
+          throw new TypeError(`${name} is not a function`);
+        return fn.apply(thisArg, args(scope));
+      };
+    }
+    case "new": {
+      const callee = compileNode(node.callee);
+      const args = compileElements(node.args);
+      return (scope) => {
+        const Constructor = callee(scope);
+        return new Constructor(...args(scope));
+      };
+    }
+    case "unary": {
+      const { operator } = node;
+      const argument =
+        operator === "typeof" && node.argument.type === "identifier"
+          ? (scope) => lookup(scope, node.argument.name, true)
+          : compileNode(node.argument);
+      const operate = unaryOperators[operator];
+      return (scope) => operate(argument(scope));
+    }
+    case "update": {
+      const reference = compileReference(node.argument);
+      const step = node.operator === "++" ? 1 : -1;
+      return (scope) => {
+        const target = reference(scope);
+        const old = Number(target.get());
+        target.set(old + step);
+        return node.prefix ? old + step : old;
+      };
+    }
+    case "binary": {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      const operate = binaryOperators[node.operator];
+      return (scope) => operate(left(scope), right(scope));
+    }
+    case "logical": {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      if (node.operator === "&&") return (scope) => left(scope) && right(scope);
+      if (node.operator === "||") return (scope) => left(scope) || right(scope);
+      return (scope) => left(scope) ?? right(scope);
+    }
+    case "conditional": {
+      const test = compileNode(node.test);
+      const consequent = compileNode(node.consequent);
+      const alternate = compileNode(node.alternate);
+      return (scope) => (test(scope) ? consequent(scope) : alternate(scope));
+    }
+    case "assign": {
+      const reference = compileReference(node.target);
+      const value = compileNode(node.value);
+      const operator = node.operator.slice(0, -1); // "+=" -> "+", "=" -> ""
+
+      return (scope) => {
+        const target = reference(scope);
+        if (!operator) {
+          const result = value(scope);
+          target.set(result);
+          return result;
+        }
+        const current = target.get();
+        if (logicalOperators.includes(operator)) {
+          const keep =
+            operator === "&&"
+              ? !current
+              : operator === "||"
+              ? current
+              : current != null;
+          if (keep) return current;
+        }
+        const result = logicalOperators.includes(operator)
+          ? value(scope)
+          : binaryOperators[operator](current, value(scope));
+        target.set(result);
+        return result;
+      };
+    }
+    case "arrow": {
+      const { params } = node;
+      const body = compileNode(node.body);
+      return (scope) =>
+        (...args) =>
+          body(
+            createLocalProxy(
+              Object.fromEntries(params.map((name, i) => [name, args[i]])),
+              scope
+            )
+          );
+    }
+    case "sequence": {
+      const expressions = node.expressions.map(compileNode);
+      return (scope) =>
+        expressions.reduce((_, expression) => expression(scope), undefined);
+    }
+  }
+  throw new SyntaxError(`Unsupported expression ${node.type}`);
+}
+
+// {price | currency:"EUR"}: the value goes through each filter, with the arguments after the colons.
+// arguments are evaluated in the scope, so they are tracked like the expression.
+function evaluateExpression(expression, stateProxy) {
+  try {
+    const { source, pipes } = parsePipes(expression);
+    return pipes.reduce(
+      (value, { name, args }) =>
+        applyFilter(
+          name,
+          value,
+          args.map((arg) => compileExpression(arg, "expression")(stateProxy))
+        ),
+      compileExpression(source, "expression")(stateProxy)
+    );
+  } catch (error) {
+    console.error(`Error evaluating expression ${expression}`, error);
+    return null;
+  }
+}
+
+// writes a value to an assignable expression (key, member or index) of the scope
+function assignExpression(expression, stateProxy, value) {
+  try {
+    compileExpression(expression, "assignment")(stateProxy, value);
+  } catch (error) {
+    console.error(`Error assigning to ${expression}`, error);
+  }
+}
+
+// pipes
+const pipeCache = new Map();
+
+function parsePipes(expression) {
+  if (!pipeCache.has(expression)) {
+    const [source, ...pipes] = expression.includes("|")
+      ? splitTopLevel(expression, "|")
+      : [expression];
+    pipeCache.set(expression, {
+      source,
+      pipes: pipes.map((pipe) => {
+        const [name, ...args] = splitTopLevel(pipe, ":");
+        return { name, args };
+      }),
+    });
+  }
+  return pipeCache.get(expression);
+}
+
+// splits on a separator outside of strings, brackets and ternaries (|| and ?: are left alone)
+function splitTopLevel(source, separator) {
+  const parts = [];
+  let start = 0;
+  let depth = 0;
+  let ternaries = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '"' || char === "'" || char === "`") {
+      while (++i < source.length && source[i] !== char) {
+        if (source[i] === "\\") i++; // escaped character
+      }
+      continue;
+    }
+    if ("([{".includes(char)) depth++;
+    else if (")]}".includes(char)) depth--;
+    if (depth) continue;
+
+    const before = source[i - 1];
+    const after = source[i + 1];
+    if (char === "?" && after !== "." && after !== "?" && before !== "?") {
+      ternaries++;
+    } else if (char === ":" && ternaries) {
+      ternaries--;
+    } else if (char === separator) {
+      if (char === "|" && (before === "|" || after === "|" || after === "="))
+        continue;
+      parts.push(source.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(source.slice(start).trim());
+  return parts;
+}
+
+// filters
+const filters = new Map();
+
+// registers a filter usable in every template: filter("double", (value) => value * 2)
+function filter(name, fn) {
+  filters.set(name, fn);
+}
+
+function applyFilter(name, value, args) {
+  const fn = filters.get(name);
+  if (!fn) throw new Error(`filter ${name} is not registered`);
+  return fn(value, ...args);
+}
+
+// Intl formatters are cached by locale and options
+const formatters = new Map();
+function getFormatter(Formatter, options) {
+  const key = `${Formatter.name}:${settings.locale}:${JSON.stringify(options)}`;
+  if (!formatters.has(key))
+    formatters.set(key, new Formatter(settings.locale, options));
+  return formatters.get(key);
+}
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+const isEmpty = (value) =>
+  value === null || value === undefined || value === "";
+
+// {total | number:2}, {price | currency:"EUR"}, {ratio | percent}
+filter("number", (value, digits) =>
+  isEmpty(value)
+    ? ""
+    : getFormatter(
+        Intl.NumberFormat,
+        digits === undefined
+          ? {}
+          : { minimumFractionDigits: digits, maximumFractionDigits: digits }
+      ).format(value)
+);
+filter("currency", (value, currency = "USD") =>
+  isEmpty(value)
+    ? ""
+    : getFormatter(Intl.NumberFormat, { style: "currency", currency }).format(
+        value
+      )
+);
+filter("percent", (value, digits = 0) =>
+  isEmpty(value)
+    ? ""
+    : getFormatter(Intl.NumberFormat, {
+        style: "percent",
+        maximumFractionDigits: digits,
+      }).format(value)
+);
+// {createdAt | date}, {createdAt | date:"long":"short"} (dateStyle, timeStyle)
+filter("date", (value, dateStyle = "medium", timeStyle) => {
+  if (isEmpty(value) || isNaN(toDate(value))) return "";
+  return getFormatter(Intl.DateTimeFormat, { dateStyle, timeStyle }).format(
+    toDate(value)
+  );
+});
+filter("time", (value, timeStyle = "short") => {
+  if (isEmpty(value) || isNaN(toDate(value))) return "";
+  return getFormatter(Intl.DateTimeFormat, { timeStyle }).format(toDate(value));
+});
+// {count | plural:"item":"items"} -> 1 item, 3 items
+filter("plural", (count, one, other = one) => {
+  const form = getFormatter(Intl.PluralRules, {}).select(count);
+  return `${getFormatter(Intl.NumberFormat, {}).format(count)} ${
+    form === "one" ? one : other
+  }`;
+});
+filter("json", (value, indent = 2) => JSON.stringify(value, null, indent));
+filter("default", (value, fallback = "") =>
+  isEmpty(value) ? fallback : value
+);
+filter("upper", (value) => String(value ?? "").toUpperCase());
+filter("lower", (value) => String(value ?? "").toLowerCase());
+filter("capitalize", (value) => {
+  const text = String(value ?? "");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+});
+filter("truncate", (value, length = 50, suffix = "…") => {
+  const text = String(value ?? "");
+  return text.length > length ? text.slice(0, length) + suffix : text;
+});
+// {todos | filter:query}: items with a value containing the query, or a predicate function
+filter("filter", (items, query) => {
+  if (!items) return [];
+  if (typeof query === "function") return Array.from(items).filter(query);
+  if (isEmpty(query)) return Array.from(items);
+
+  const search = String(query).toLowerCase();
+  const matches = (value) => String(value).toLowerCase().includes(search);
+  return Array.from(items).filter((item) =>
+    item !== null && typeof item === "object"
+      ? Object.values(item).some(matches)
+      : matches(item)
+  );
+});
+
+// class and style bindings
+// class="btn { { active: isActive } } {['card', size]}": strings, arrays and objects (names with a truthy value).
+// classes are added and removed with classList, only the ones the binding added are removed.
+function classText(value) {
+  if (Array.isArray(value)) return ` ${value.map(classText).join(" ")} `;
+  if (value !== null && typeof value === "object") {
+    return ` ${Object.keys(value)
+      .filter((name) => value[name])
+      .join(" ")} `;
+  }
+  return isEmpty(value) || value === false ? "" : String(value);
+}
+
+function bindClass(node, template, variables) {
+  const parts = templateParts(template);
+  let applied = new Set();
+  node.removeAttribute("class");
+
+  registerDependencies(() => {
+    const classes = new Set(
+      interpolate(parts, variables, classText).split(/\s+/).filter(Boolean)
+    );
+    applied.forEach((name) => classes.has(name) || node.classList.remove(name));
+    classes.forEach((name) => applied.has(name) || node.classList.add(name));
+    applied = classes;
+  });
+}
+
+// style="color: red; { { fontSize: size + 'px', '--gap': gap } }": strings, objects and arrays of them.
+// properties are set with style.setProperty, only the ones the binding set are removed.
+const toKebabCase = (name) =>
+  name.startsWith("--")
+    ? name
+    : name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+
+function styleText(value) {
+  if (Array.isArray(value)) return value.map(styleText).join(";");
+  if (value !== null && typeof value === "object") {
+    return Object.entries(value)
+      .filter(
+        ([, propertyValue]) =>
+          !isEmpty(propertyValue) && propertyValue !== false
+      )
+      .map(
+        ([property, propertyValue]) =>
+          `;${toKebabCase(property)}: ${propertyValue};`
+      )
+      .join("");
+  }
+  return isEmpty(value) || value === false ? "" : String(value);
+}
+
+function setStyleProperty(node, property, value) {
+  const important = /\s*!important\s*$/;
+  node.style.setProperty(
+    property,
+    value.replace(important, ""),
+    important.test(value) ? "important" : ""
+  );
+}
+
+function bindStyle(node, template, variables) {
+  const parts = templateParts(template);
+  let applied = new Map();
+  node.removeAttribute("style");
+
+  registerDependencies(() => {
+    const declarations = new Map();
+    splitTopLevel(interpolate(parts, variables, styleText), ";").forEach(
+      (declaration) => {
+        const colon = declaration.indexOf(":");
+        if (colon === -1) return;
+        declarations.set(
+          declaration.slice(0, colon).trim(),
+          declaration.slice(colon + 1).trim()
+        );
+      }
+    );
+
+    applied.forEach(
+      (_, property) =>
+        declarations.has(property) || node.style.removeProperty(property)
+    );
+    declarations.forEach((value, property) => {
+      if (applied.get(property) !== value)
+        setStyleProperty(node, property, value);
+    });
+    applied = declarations;
+  });
+}
+
+// present or absent, whatever their value
+const booleanAttributes = new Set([
+  "allowfullscreen",
+  "async",
+  "autofocus",
+  "autoplay",
+  "checked",
+  "controls",
+  "default",
+  "defer",
+  "disabled",
+  "formnovalidate",
+  "hidden",
+  "inert",
+  "ismap",
+  "itemscope",
+  "loop",
+  "multiple",
+  "muted",
+  "nomodule",
+  "novalidate",
+  "open",
+  "playsinline",
+  "readonly",
+  "required",
+  "reversed",
+  "selected",
+]);
+
+// value is the expression's own value for attr="{expression}", a string for mixed text
+function setAttributes(element, attrName, value) {
+  if (booleanAttributes.has(attrName)) {
+    // Boolean attributes: present when truthy, the property follows (checked, selected, open)
+    if (value) element.setAttribute(attrName, "");
+    else element.removeAttribute(attrName);
+    if (attrName in element) element[attrName] = !!value;
+  } else if (
+    value === null ||
+    value === undefined ||
+    (value === false && !/^(aria|data)-/.test(attrName))
+  ) {
+    // aria-* and data-* keep "false", other attributes are removed
+    element.removeAttribute(attrName);
+  } else if (attrName === "value" && element.localName === "input") {
+    // Special case for input value: set the property directly
+    // element.setAttribute("value", value); // this reflects the state in the dom -> it less performant
+    element.value = value;
+  } else {
+    // General case: set the attribute directly, setAttribute never parses markup
+    element.setAttribute(attrName, String(value));
+  }
+}
+
+// attribute names are lowercased by the parser: .text-content and .textcontent both find textContent
+function resolveProperty(node, name) {
+  const property = toCamelCase(name);
+  if (property in node) return property;
+  for (const key in node) {
+    if (key.toLowerCase() === property.toLowerCase()) return key;
+  }
+  return property;
+}
+
+const dateInputTypes = ["date", "datetime-local", "month", "week", "time"];
+
+// keeps the type of the current state value when reading a string back from the DOM
+function coerceLike(reference, value) {
+  if (typeof reference === "number") return value === "" ? null : Number(value);
+  if (typeof reference === "boolean") return value === "true";
+  return value;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function formatDate(date, type) {
+  if (!(date instanceof Date) || isNaN(date)) return date ?? "";
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  if (type === "datetime-local") return `${day}T${time}`;
+  if (type === "time") return time;
+  if (type === "month") return day.slice(0, 7);
+  return day;
+}
+
+function parseDate(value, type) {
+  if (!value) return null;
+  if (type === "time") return new Date(`1970-01-01T${value}`);
+  if (type === "month") return new Date(`${value}-01T00:00`);
+  return new Date(type === "date" ? `${value}T00:00` : value);
+}
+
+// two-way binding: bind:value, bind:checked and bind:group (+ .lazy, .number, .trim modifiers)
+function bindModel(node, property, expression, modifiers, variables) {
+  const type = (node.type || "").toLowerCase();
+  const isCheckable = type === "checkbox" || type === "radio";
+  const read = () => evaluateExpression(expression, variables);
+  const write = (value) => assignExpression(expression, variables, value);
+
+  let update, onChange;
+
+  if (property === "checked") {
+    update = () => (node.checked = !!read());
+    onChange = () => write(node.checked);
+  } else if (property === "group") {
+    if (!isCheckable)
+      return console.error(
+        `bind:group="${expression}" expects a checkbox or a radio input.`
+      );
+
+    update = () => {
+      const model = read();
+      node.checked = Array.isArray(model)
+        ? model.some((v) => String(v) === node.value)
+        : String(model) === node.value;
+    };
+    onChange = () => {
+      const model = read();
+      if (type === "radio") {
+        node.checked && write(coerceLike(model, node.value));
+        return;
+      }
+      if (!Array.isArray(model)) return write(node.checked);
+
+      const index = model.findIndex((v) => String(v) === node.value);
+      if (node.checked && index === -1)
+        model.push(coerceLike(model[0], node.value));
+      if (!node.checked && index !== -1) model.splice(index, 1);
+    };
+  } else if (property === "value" && node.localName === "select") {
+    update = () => {
+      const model = read();
+      Array.from(node.options).forEach((option) => {
+        option.selected = node.multiple
+          ? Array.isArray(model) &&
+            model.some((v) => String(v) === option.value)
+          : String(model) === option.value;
+      });
+    };
+    onChange = () => {
+      const model = read();
+      const selected = Array.from(node.selectedOptions).map((option) =>
+        coerceLike(node.multiple ? model?.[0] : model, option.value)
+      );
+      write(node.multiple ? selected : selected[0] ?? null);
+    };
+  } else if (property === "value") {
+    const isNumber =
+      modifiers.includes("number") || type === "number" || type === "range";
+    const isDate = dateInputTypes.includes(type);
+
+    update = () => {
+      const model = read();
+      const value = isDate ? formatDate(model, type) : model ?? "";
+      if (node.value !== String(value)) node.value = value;
+    };
+    onChange = () => {
+      let value = node.value;
+      if (modifiers.includes("trim")) value = value.trim();
+      if (isNumber) value = value === "" ? null : Number(value);
+      else if (isDate && read() instanceof Date) value = parseDate(value, type);
+      write(value);
+    };
+  } else {
+    return console.error(`Unknown binding bind:${property}="${expression}".`);
+  }
+
+  const eventType =
+    isCheckable || node.localName === "select" || modifiers.includes("lazy")
+      ? "change"
+      : "input";
+
+  registerDependencies(update);
+  node.addEventListener(eventType, onChange);
+  activeScope?.add(() => node.removeEventListener(eventType, onChange));
+}
+
+// compiling nodes: what a node binds is read once, from the template, into an entry of the plan.
+// { type, path, ... }: the path leads from the plan's root to the node, through childNodes indexes
+const isBindingAttribute = ({ name, value }) =>
+  name === "ref" ||
+  name === "html" ||
+  name.startsWith("bind:") ||
+  name.startsWith("on") ||
+  name.startsWith(".") ||
+  name.startsWith("class:") ||
+  name.startsWith("style:") ||
+  hasExpression(value);
+
+const toAttributes = (attributes) =>
+  Array.from(attributes, ({ name, value }) => ({ name, value }));
+
+function compileBindings(node, plan, path) {
+  if (node.nodeType === TEXT_NODE) {
+    if (hasExpression(node.nodeValue))
+      plan.push({ type: "text", path, template: node.nodeValue });
+    return;
+  }
+  if (node.nodeType !== ELEMENT_NODE) return;
+
+  const definition = components.get(node.localName);
+  if (definition) {
+    // every attribute is a prop or the host's, the children are the slot content
+    const attributes = toAttributes(node.attributes);
+    plan.push({
+      type: "component",
+      path,
+      definition,
+      attributes,
+      slotted: compileChildren(node),
+    });
+    return;
+  }
+
+  const attributes = toAttributes(node.attributes).filter(isBindingAttribute);
+  if (node.localName === "slot") {
+    // the fallback only renders when nothing is projected into the slot
+    plan.push({
+      type: "slot",
+      path,
+      attributes,
+      fallback: compileChildren(node),
+    });
+    return;
+  }
+
+  if (attributes.length) plan.push({ type: "element", path, attributes });
+  // an html element's content is the markup, not a template
+  if (!attributes.some(({ name }) => name === "html"))
+    compileChildren(node, plan, path);
+
+  // two-way bindings are set up after the children (select options)
+  const models = attributes.filter(({ name }) => name.startsWith("bind:"));
+  if (models.length) {
+    plan.push({
+      type: "model",
+      path,
+      models: models.map(({ name, value }) => {
+        const [property, ...modifiers] = name.slice(5).split(".");
+        return [property, value.trim(), modifiers];
+      }),
+    });
+  }
+}
+
+// sets up each entry of the plan on its node
+const binders = {
+  text(node, { template }, variables) {
+    registerDependencies(
+      () => (node.nodeValue = replaceVariables(template, variables))
+    );
+  },
+  element(node, { attributes }, variables) {
+    parseAttributes(node, variables, attributes);
+  },
+  model(node, { models }, variables) {
+    models.forEach(([property, expression, modifiers]) =>
+      bindModel(node, property, expression, modifiers, variables)
+    );
+  },
+  slot(node, { attributes, fallback }, variables, stateManager) {
+    parseAttributes(node, variables, attributes);
+    // content projected into a slot was already parsed in the component's parent scope
+    const slotContent = getSlotContent(node);
+    if (slotContent) node.replaceChildren(...slotContent);
+    else
+      runPlan(fallback, resolvePlan(fallback, node), variables, stateManager);
+  },
+  component: mountComponent,
+  if: renderIfStatements,
+  switch: renderSwitchBlocks,
+  each: renderEachBlocks,
+};
+
+// the nodes of a plan, found before any of them renders: blocks add nodes between their anchors
+function resolvePlan(plan, root) {
+  return plan.map(({ path }) =>
+    path.reduce((node, index) => node.childNodes[index], root)
+  );
+}
+
+function runPlan(plan, nodes, variables, stateManager) {
+  plan.forEach((binding, i) =>
+    binders[binding.type](nodes[i], binding, variables, stateManager)
+  );
+}
+
+// listeners and reactive attributes, attributes: [{ name, value }] read from the template
+function parseAttributes(node, variables, attributes) {
+  attributes.forEach((attr) => {
+    if (attr.name === "ref") {
+      registerRef(node, attr.value.trim());
+      node.removeAttribute(attr.name);
+    } else if (attr.name.startsWith("bind:")) {
+      node.removeAttribute(attr.name); // set up by the plan's model entry
+    } else if (attr.name.startsWith("on")) {
+      // Event handling: onclick.prevent="expression"
+      const eventType = addListener(
+        node,
+        attr.name,
+        attr.value.trim(),
+        variables
+      );
+      node.removeAttribute(attr.name);
+
+      // onmount, onupdate and ondestroy are dispatched by the scope rendering the element
+      if (lifecycleEvents.includes(eventType)) {
+        addHook(eventType, () =>
+          node.dispatchEvent(new CustomEvent(eventType))
+        );
+      }
+    } else if (attr.name.startsWith(".")) {
+      // .items="{list}" sets the DOM property to the value itself, objects and arrays included
+      const property = resolveProperty(node, attr.name.slice(1));
+      const template = attr.value;
+      node.removeAttribute(attr.name);
+      registerDependencies(
+        () => (node[property] = evaluateTemplate(template, variables))
+      );
+    } else if (attr.name === "html") {
+      // html="{markup}" renders trusted markup, through the sanitize hook when there is one
+      const template = attr.value;
+      node.removeAttribute(attr.name);
+      registerDependencies(() => {
+        const html = String(evaluateTemplate(template, variables) ?? "");
+        node.innerHTML = settings.sanitize ? settings.sanitize(html) : html;
+      });
+    } else if (attr.name.startsWith("class:")) {
+      // class:active="{isActive}" toggles one class
+      const className = attr.name.slice(6);
+      const template = attr.value;
+      node.removeAttribute(attr.name);
+      registerDependencies(() =>
+        node.classList.toggle(
+          className,
+          !!evaluateTemplate(template, variables)
+        )
+      );
+    } else if (attr.name.startsWith("style:")) {
+      // style:width.px="{width}" sets one property, with an optional unit
+      const [property, unit = ""] = attr.name.slice(6).split(".");
+      const template = attr.value;
+      node.removeAttribute(attr.name);
+      registerDependencies(() => {
+        const value = evaluateTemplate(template, variables);
+        if (isEmpty(value) || value === false)
+          node.style.removeProperty(property);
+        else setStyleProperty(node, property, `${value}${unit}`);
+      });
+    } else {
+      // Reactive attributes
+      const template = attr.value;
+      if (!hasExpression(template)) return;
+
+      if (attr.name === "class") return bindClass(node, template, variables);
+      if (attr.name === "style") return bindStyle(node, template, variables);
+
+      const update = () => {
+        const value = evaluateTemplate(template, variables);
+
+        setAttributes(node, attr.name, value);
+      };
+      registerDependencies(update);
+    }
+  });
+}
+
+// event handlers
+const isPathRegx = /^[\w$]+(?:\.[\w$]+)*$/; // increment, actions.save
+const listenerModifiers = [
+  "prevent",
+  "stop",
+  "once",
+  "passive",
+  "capture",
+  "self",
+  "outside",
+];
+const systemModifiers = ["ctrl", "alt", "shift", "meta"];
+const keyModifiers = {
+  enter: ["Enter"],
+  esc: ["Escape"],
+  escape: ["Escape"],
+  space: [" ", "Spacebar"],
+  tab: ["Tab"],
+  up: ["ArrowUp"],
+  down: ["ArrowDown"],
+  left: ["ArrowLeft"],
+  right: ["ArrowRight"],
+  delete: ["Delete", "Backspace"],
+};
+
+// a function reference is called with the event, anything else runs as a statement
+// with $event in scope: onclick="count++", onclick="select(item, $event)"
+function runHandler(expression, variables, event) {
+  if (isPathRegx.test(expression)) {
+    const handler = evaluateExpression(expression, variables);
+    if (typeof handler !== "function")
+      return console.warn(`function ${expression} is not defined.`);
+    // a method is called on its object: onclick="$store.cart.add" runs with this = $store.cart
+    const dot = expression.lastIndexOf(".");
+    const owner =
+      dot === -1
+        ? variables
+        : evaluateExpression(expression.slice(0, dot), variables);
+    return handler.call(owner, event);
+  }
+
+  return compileExpression(expression, "statements")(variables, event);
+}
+
+function matchesModifiers(event, modifiers, node) {
+  if (modifiers.includes("self") && event.target !== event.currentTarget)
+    return false;
+  if (
+    modifiers.includes("outside") &&
+    (!node.isConnected || node.contains(event.target))
+  )
+    return false;
+  if (
+    systemModifiers.some(
+      (key) => modifiers.includes(key) && !event[`${key}Key`]
+    )
+  )
+    return false;
+
+  // key filters only apply to keyboard events: onkeydown.enter, onkeyup.ctrl.s
+  const keys = modifiers.filter(
+    (m) => !listenerModifiers.includes(m) && !systemModifiers.includes(m)
+  );
+  if (keys.length && "key" in event) {
+    const pressed = event.key?.toLowerCase();
+    return keys.some((key) =>
+      (keyModifiers[key] || [key]).some(
+        (name) => name.toLowerCase() === pressed
+      )
+    );
+  }
+  return true;
+}
+
+function addListener(node, name, expression, variables) {
+  const [eventType, ...modifiers] = name.slice(2).split(".");
+  // .outside listens on the document and fires for events outside the element
+  const target = modifiers.includes("outside") ? doc : node;
+  const options = {
+    capture: modifiers.includes("capture"),
+    passive: modifiers.includes("passive"),
+  };
+  // the event that renders an element must not reach its own outside listener
+  const attachedAt = performance.now();
+
+  const listener = (event) => {
+    if (modifiers.includes("outside") && event.timeStamp < attachedAt) return;
+    if (!matchesModifiers(event, modifiers, node)) return;
+
+    if (modifiers.includes("prevent")) event.preventDefault();
+    if (modifiers.includes("stop")) event.stopPropagation();
+    // removed by hand so filtered out events don't use up the listener
+    if (modifiers.includes("once"))
+      target.removeEventListener(eventType, listener, options);
+
+    try {
+      runHandler(expression, variables, event);
+    } catch (error) {
+      console.error(`Error in event handler ${name}="${expression}"`, error);
+    }
+  };
+
+  target.addEventListener(eventType, listener, options);
+  activeScope?.add(() =>
+    target.removeEventListener(eventType, listener, options)
+  );
+  return eventType;
+}
+
+// blocks
+// markers get their own text node, blocks then swap them for comment anchors that mark where they render.
+const blockMarkers = [
+  start_each,
+  emptyRegx,
+  endEach,
+  start_if,
+  elseIfRegx,
+  elseRegx,
+  endIfRegx,
+  start_switch,
+  caseRegx,
+  defaultRegx,
+  endSwitchRegx,
+];
+const markerRegex = new RegExp(
+  blockMarkers.map((regex) => regex.source).join("|"),
+  "g"
+);
+
+function isMarker(node, regex) {
+  if (node.nodeType !== TEXT_NODE) return false;
+  return regex
+    ? regex.test(node.nodeValue)
+    : blockMarkers.some((marker) => marker.test(node.nodeValue));
+}
+
+const isBlockStart = (node) =>
+  isMarker(node, start_if) ||
+  isMarker(node, start_each) ||
+  isMarker(node, start_switch);
+const isBlockEnd = (node) =>
+  isMarker(node, endIfRegx) ||
+  isMarker(node, endEach) ||
+  isMarker(node, endSwitchRegx);
+
+function splitMarkers(parent) {
+  Array.from(parent.childNodes).forEach((node) => {
+    if (node.nodeType !== TEXT_NODE) return;
+
+    const text = node.nodeValue;
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(markerRegex)) {
+      parts.push(text.slice(lastIndex, match.index), match[0]);
+      lastIndex = match.index + match[0].length;
+    }
+    parts.push(text.slice(lastIndex));
+    const texts = parts.filter(Boolean);
+    if (texts.length < 2) return; // no marker, or a marker on its own already
+
+    node.replaceWith(...texts.map((part) => doc.createTextNode(part)));
+  });
+}
+
+// <template if="...">, <template each="..."> and <template switch="..."> survive strict content models
+// (table, select, ul), they are expanded into the brace markers:
+// <template if="a">..</template><template else-if="b">..</template><template else>..</template>
+// <template switch="status"><template case="'done'">..</template><template default>..</template></template>
+// <template each="item of items">..</template><template empty>..</template>
+const controlAttributes = ["if", "each", "switch"];
+const isTemplateWith = (node, attribute) =>
+  node?.localName === "template" && node.hasAttribute(attribute);
+const isControlTemplate = (node) =>
+  controlAttributes.some((attribute) => isTemplateWith(node, attribute));
+
+function expandTemplates(parent) {
+  let template;
+  while ((template = Array.from(parent.children).find(isControlTemplate))) {
+    const content = [...template.content.childNodes];
+    let nodes;
+
+    if (template.hasAttribute("each")) {
+      nodes = [`{for:each ${template.getAttribute("each")}}`, ...content];
+
+      const next = template.nextElementSibling;
+      if (isTemplateWith(next, "empty")) {
+        nodes.push("{:empty}", ...next.content.childNodes);
+        clearBlock(template, next);
+        next.remove();
+      }
+      nodes.push("{end:each}");
+    } else if (template.hasAttribute("switch")) {
+      const cases = content.flatMap((node) => {
+        if (isTemplateWith(node, "case"))
+          return [
+            `{:case ${node.getAttribute("case")}}`,
+            ...node.content.childNodes,
+          ];
+        if (isTemplateWith(node, "default"))
+          return ["{:default}", ...node.content.childNodes];
+        return [node];
+      });
+      nodes = [
+        `{start:switch ${template.getAttribute("switch")}}`,
+        ...cases,
+        "{end:switch}",
+      ];
+    } else {
+      nodes = [`{start:if ${template.getAttribute("if")}}`, ...content];
+
+      // the else-if and else templates following it join the chain
+      let next = template.nextElementSibling;
+      while (isTemplateWith(next, "else-if") || isTemplateWith(next, "else")) {
+        const isElse = next.hasAttribute("else");
+        nodes.push(
+          isElse ? "{:else}" : `{:else if ${next.getAttribute("else-if")}}`,
+          ...next.content.childNodes
+        );
+        clearBlock(template, next);
+        next.remove();
+        next = !isElse && template.nextElementSibling;
+      }
+      nodes.push("{end:if}");
+    }
+    template.replaceWith(...nodes);
+  }
+}
+
+// the marker is replaced by an empty comment that keeps its place in the DOM
+function toAnchor(marker, label) {
+  const anchor = doc.createComment(label);
+  marker.replaceWith(anchor);
+  return anchor;
+}
+
+// index of the marker closing the block opened at nodes[start]
+function getBlockEnd(nodes, start) {
+  let depth = 0;
+  for (let i = start + 1; i < nodes.length; i++) {
+    if (isBlockStart(nodes[i])) depth++;
+    else if (isBlockEnd(nodes[i])) {
+      if (depth === 0) return i;
+      depth--;
+    }
+  }
+  return -1;
+}
+
+// removes what a block rendered between its anchors
+function clearBlock(blockStart, blockEnd) {
+  while (blockStart.nextSibling && blockStart.nextSibling !== blockEnd) {
+    blockStart.nextSibling.remove();
+  }
+}
+
+// [start marker, end marker, compiler]
+const blockTypes = [
+  [start_if, endIfRegx, compileIfStatements],
+  [start_each, endEach, compileEachBlocks],
+  [start_switch, endSwitchRegx, compileSwitchBlocks],
+];
+
+// compiles the children of an element or a fragment: blocks at this level are compiled, other nodes
+// added to the plan. a block leaves its two anchors in the template, its branches are compiled apart.
+function compileChildren(parent, plan = [], path = []) {
+  expandTemplates(parent);
+  splitMarkers(parent);
+  const nodes = Array.from(parent.childNodes);
+
+  // index: position of the node once the blocks before it are down to their anchors
+  for (let i = 0, index = 0; i < nodes.length; i++, index++) {
+    const node = nodes[i];
+    if (!isMarker(node)) {
+      compileBindings(node, plan, [...path, index]);
+      continue;
+    }
+
+    const expression = node.nodeValue.trim();
+    const type = blockTypes.find(([start]) => isMarker(node, start));
+    if (!type) {
+      console.error(`Error: unexpected ${expression} outside of a block.`);
+      node.nodeValue = "";
+      continue;
+    }
+
+    const [, endRegex, compileBlock] = type;
+    const end = getBlockEnd(nodes, i);
+    if (end === -1 || !isMarker(nodes[end], endRegex)) {
+      console.error(
+        `Error: Expected closing statement for block: ${expression}`
+      );
+      node.nodeValue = "";
+      continue;
+    }
+
+    const binding = compileBlock(nodes.slice(i, end + 1));
+    if (binding) plan.push({ ...binding, path: [...path, index] });
+    index++; // the end anchor
+    i = end;
+  }
+  return plan;
+}
+
+// the nodes of a branch become a template of their own
+function compileBranch(nodes) {
+  const fragment = doc.createDocumentFragment();
+  fragment.append(...nodes);
+  return { fragment, plan: compileChildren(fragment) };
+}
+
+// splits a block on the markers of its own level: [{ marker, nodes }], the first branch starts at the block's marker
+function splitBranches(block, separators) {
+  const branches = [{ marker: block[0], nodes: [] }];
+  let depth = 0;
+
+  block.slice(1, -1).forEach((node) => {
+    node.remove();
+    if (depth === 0 && separators.some((regex) => isMarker(node, regex))) {
+      branches.push({ marker: node, nodes: [] });
+      return;
+    }
+    if (isBlockStart(node)) depth++;
+    if (isBlockEnd(node)) depth--;
+    branches.at(-1).nodes.push(node);
+  });
+  return branches;
+}
+
+// the branch picked by select() is rendered from its template, the previous one is destroyed.
+function renderBranches(blockStart, branches, select, variables, stateManager) {
+  const blockEnd = blockStart.nextSibling;
+  let claimed = claimedContent.get(blockStart); // the first render of a hydrated block
+
+  const blockScope = activeScope; // branches are rendered later, from the scheduler
+  let branchScope = null;
+  let activeIndex = undefined;
+
+  const update = () => {
+    const index = select();
+    if (activeIndex === index) return;
+    activeIndex = index;
+
+    branchScope?.destroy();
+    branchScope = null;
+    clearBlock(blockStart, blockEnd);
+
+    const server = claimed;
+    claimed = null;
+    const branch = branches[index];
+    if (!branch) return;
+
+    branchScope = new Scope(blockScope);
+    const fragment = renderTemplate(
+      branch,
+      branchScope,
+      variables,
+      stateManager,
+      server
+    );
+    blockEnd.parentNode.insertBefore(fragment, blockEnd);
+    branchScope.mountLater();
+  };
+
+  registerDependencies(update);
+}
+
+// if Statements
+// block: [{start:if a}, ...nodes, {:else if b}, ...nodes, {:else}, ...nodes, {end:if}]
+// conditions are evaluated in order, only the first truthy branch is rendered.
+function compileIfStatements(block) {
+  const branches = splitBranches(block, [elseIfRegx, elseRegx]);
+  const conditions = branches.map(({ marker }) =>
+    isMarker(marker, elseRegx)
+      ? null
+      : marker.nodeValue.match(start_if)?.[1] ??
+        marker.nodeValue.match(elseIfRegx)[1]
+  );
+  toAnchor(block[0], "if");
+  toAnchor(block.at(-1), "end:if");
+
+  return {
+    type: "if",
+    conditions,
+    branches: branches.map(({ nodes }) =>
+      nodes.length ? compileBranch(nodes) : null
+    ),
+  };
+}
+
+function renderIfStatements(
+  blockStart,
+  { conditions, branches },
+  variables,
+  stateManager
+) {
+  const select = () =>
+    conditions.findIndex(
+      (condition) =>
+        condition === null || !!evaluateExpression(condition, variables)
+    );
+
+  renderBranches(blockStart, branches, select, variables, stateManager);
+}
+
+// switch blocks
+// block: [{start:switch value}, {:case a}, ...nodes, {:case b}, ...nodes, {:default}, ...nodes, {end:switch}]
+// the first case strictly equal to the value is rendered, or the default one.
+function compileSwitchBlocks(block) {
+  const expression = block[0].nodeValue.match(start_switch)[1];
+  const branches = splitBranches(block, [caseRegx, defaultRegx]);
+  // branches[0] is what comes before the first case, it is never rendered
+  const cases = branches.map(({ marker }, index) =>
+    index === 0 ? undefined : marker.nodeValue.match(caseRegx)?.[1] ?? null
+  );
+  toAnchor(block[0], "switch");
+  toAnchor(block.at(-1), "end:switch");
+
+  return {
+    type: "switch",
+    expression,
+    cases,
+    branches: branches.map(({ nodes }, index) =>
+      index > 0 && nodes.length ? compileBranch(nodes) : null
+    ),
+  };
+}
+
+function renderSwitchBlocks(
+  blockStart,
+  { expression, cases, branches },
+  variables,
+  stateManager
+) {
+  const select = () => {
+    const value = evaluateExpression(expression, variables);
+    const index = cases.findIndex(
+      (test, index) =>
+        index > 0 &&
+        test !== null &&
+        evaluateExpression(test, variables) === value
+    );
+    return index === -1 ? cases.indexOf(null) : index;
+  };
+
+  renderBranches(blockStart, branches, select, variables, stateManager);
+}
+
+// each blocks
+// block: [{for:each item, index of items key item.id}, ...rowNodes, {:empty}, ...emptyNodes, {end:each}]
+// rows are matched to items by key and patched in place, only the rows off the longest
+// increasing run of old positions are moved.
+function compileEachBlocks(block) {
+  const match = block[0].nodeValue.match(start_each);
+
+  let itemName = match[1].trim();
+  const indexName = match[2]?.trim() || "index";
+  const [arrayName, keyExpression] = match[3].trim().split(/\s+key\s+/);
+
+  // allows object destrucutring in for each for itemName
+  const isDistructuredItem = hasExpression(itemName);
+  const keys =
+    isDistructuredItem && itemName.split(/[^a-zA-Z_$\.]+/).filter(Boolean);
+  isDistructuredItem && (itemName = "__domMasterObject__"); // won't be used when updating dynamicly created elements. need key values paird will be spread in the localProxy created.
+
+  const expression = block[0].nodeValue.trim();
+  const [rowBranch, emptyBranch] = splitBranches(block, [emptyRegx]);
+  const rowNodes = trimFormatting(rowBranch.nodes);
+  const emptyNodes = trimFormatting(emptyBranch?.nodes || []);
+
+  toAnchor(block[0], "each");
+  toAnchor(block.at(-1), "end:each");
+
+  if (!rowNodes.length) {
+    console.error(`Error: empty for:each block. at ${expression}`);
+    return null;
+  }
+
+  return {
+    type: "each",
+    expression,
+    itemName,
+    indexName,
+    keys,
+    arrayName,
+    keyExpression,
+    row: compileBranch(rowNodes),
+    empty: emptyNodes.length ? compileBranch(emptyNodes) : null,
+  };
+}
+
+function renderEachBlocks(blockStart, binding, variables, stateManager) {
+  const { expression, itemName, indexName, keys, arrayName, keyExpression } =
+    binding;
+  const blockEnd = blockStart.nextSibling;
+  let claimed = claimedContent.get(blockStart); // rows of a hydrated block claim the server's nodes
+
+  const blockScope = activeScope; // rows are created later, from the scheduler
+
+  // Create a tracking state for the block
+  const state = {
+    rows: [], // rendered rows, in order
+    empty: null, // the rendered {:empty} branch
+  };
+
+  // refs inside rows are arrays in row order, or Maps by key when the block has a key
+  const refNames = new Set();
+  const refreshRefs = () => {
+    const owner = findRefScope(blockScope);
+    if (!owner) return;
+    state.rows.forEach(({ scope }) =>
+      Object.keys(scope.refs).forEach((name) => refNames.add(name))
+    );
+    refNames.forEach((name) => {
+      const rows = state.rows.filter(({ scope }) => scope.refs[name]);
+      owner.refs[name] = keyExpression
+        ? new Map(rows.map(({ key, scope }) => [key, scope.refs[name]]))
+        : rows.map(({ scope }) => scope.refs[name]);
+    });
+    owner.onRefs?.();
+  };
+
+  const rowContext = (item, index) => {
+    if (!keys) return { [itemName]: item, [indexName]: index };
+
+    const newObj = Object.fromEntries(
+      keys.map((key) => {
+        if (!(key in item))
+          console.error(`Error: undefined reading ${key} at: ${expression}`);
+        return [key, item[key]];
+      })
+    );
+    return { ...newObj, [indexName]: index };
+  };
+
+  // without a key expression, entries of Maps and objects are matched by their key,
+  // other objects by identity and primitives by value
+  const getKey = (item, index, byIndex) => {
+    if (keyExpression) {
+      return evaluateExpression(
+        keyExpression,
+        createLocalProxy(rowContext(item, index), variables)
+      );
+    }
+    return byIndex ? index : toRaw(item);
+  };
+
+  // the item is the list's: item = value (bind:value="name" in a row of strings) sets it in the source
+  const writeItem = (row, value) => {
+    const source = evaluateExpression(arrayName, variables);
+    if (source instanceof Map) source.set(row.index, value);
+    else if (Array.isArray(source) || isKeyedCollection(source))
+      source[row.index] = value;
+    else
+      return console.error(
+        `Error: ${itemName} can't be assigned, ${arrayName} is not an array, a Map or an object. at ${expression}`
+      );
+    // the row keeps its key: the next update patches it instead of rendering a new one
+    row.key = getKey(value, row.index, isKeyedCollection(source));
+    row.item = value;
+  };
+
+  const createRow = (item, index, key) => {
+    const localManager = new ReactiveState(rowContext(item, index));
+    const rowState = keys
+      ? localManager.proxy
+      : new Proxy(localManager.proxy, {
+          set(target, name, value) {
+            if (name === itemName) writeItem(row, value);
+            target[name] = value;
+            return true;
+          },
+        });
+    const stateProxy = createLocalProxy(rowState, variables);
+
+    const scope = new Scope(blockScope);
+    scope.refs = {};
+    scope.onRefs = () => queueJob(refreshRefs); // a ref inside the row was added or removed
+    const fragment = renderTemplate(
+      binding.row,
+      scope,
+      stateProxy,
+      localManager,
+      claimed
+    );
+    scope.add(localManager.destroy);
+
+    const { firstChild: first, lastChild: last } = fragment;
+    const row = {
+      first,
+      last,
+      item,
+      index,
+      key,
+      oldIndex: -1,
+      state: localManager.proxy,
+      scope,
+    };
+    return row;
+  };
+
+  // nested mutations reach the row through deep reactivity, the item is set as it is
+  const patchRow = (row, item, index) => {
+    if (row.index !== index) {
+      row.state[indexName] = index;
+      row.index = index;
+    }
+    if (keys) keys.forEach((key) => (row.state[key] = item[key]));
+    else row.state[itemName] = item;
+    row.item = item;
+  };
+
+  const removeRendered = (rendered) => {
+    rendered.scope.destroy(); // releases the row's updaters, listeners and local manager
+    rangeNodes(rendered).forEach((node) => node.remove());
+  };
+
+  const update = () => {
+    const source = evaluateExpression(arrayName, variables);
+    const entries = toEntries(source);
+    if (!entries) {
+      return console.error(
+        `${arrayName}: can't be iterated at ${expression}`,
+        source
+      );
+    }
+    const byIndex = isKeyedCollection(source);
+
+    // old rows by key, rows sharing a key are reused in order
+    const oldRows = new Map();
+    state.rows.forEach((row, index) => {
+      row.oldIndex = index;
+      if (!oldRows.has(row.key)) oldRows.set(row.key, []);
+      oldRows.get(row.key).push(row);
+    });
+
+    const seenKeys = keyExpression && new Set();
+    const rows = entries.map(([index, item]) => {
+      const key = getKey(item, index, byIndex);
+      if (seenKeys?.has(key))
+        console.warn(`Duplicate key ${String(key)} at ${expression}`);
+      seenKeys?.add(key);
+
+      const row = oldRows.get(key)?.shift();
+      if (!row) return createRow(item, index, key);
+      patchRow(row, item, index);
+      return row;
+    });
+
+    // remove oldnodes
+    oldRows.forEach((removed) => removed.forEach(removeRendered));
+
+    if (rows.length && state.empty) {
+      removeRendered(state.empty);
+      state.empty = null;
+    }
+    if (!rows.length && !state.empty && binding.empty) {
+      const scope = new Scope(blockScope);
+      const fragment = renderTemplate(
+        binding.empty,
+        scope,
+        variables,
+        stateManager,
+        claimed
+      );
+      state.empty = {
+        first: fragment.firstChild,
+        last: fragment.lastChild,
+        scope,
+      };
+      blockEnd.parentNode.insertBefore(fragment, blockEnd);
+      scope.mountLater();
+    }
+
+    moveRows(rows, blockEnd);
+    rows.forEach(({ scope }) => scope.mountLater());
+    claimed = null;
+
+    // update state
+    state.rows = rows;
+    refreshRefs();
+  };
+
+  // intial render, re-rendered when the array changes
+  registerDependencies(update);
+}
+
+// whitespace with a line break at the edges of a block is formatting, not content
+const isFormatting = (node) =>
+  node.nodeType === TEXT_NODE &&
+  !node.nodeValue.trim() &&
+  node.nodeValue.includes("\n");
+
+function trimFormatting(nodes) {
+  let start = 0;
+  let end = nodes.length;
+  while (start < end && isFormatting(nodes[start])) start++;
+  while (end > start && isFormatting(nodes[end - 1])) end--;
+  return nodes.slice(start, end);
+}
+
+// clones a compiled template and runs its plan in the scope, returns the rendered fragment.
+// when hydrating, the clone's nodes are swapped for the server's nodes they claim
+function renderTemplate(
+  { fragment, plan },
+  scope,
+  variables,
+  stateManager,
+  claimed
+) {
+  const clone = fragment.cloneNode(true);
+  let nodes = resolvePlan(plan, clone);
+  untrack(() =>
+    scope.run(() => {
+      if (claimed) nodes = claimPlan(nodes, clone, clone, variables, claimed);
+      runPlan(plan, nodes, variables, stateManager);
+    })
+  );
+  return clone;
+}
+
+// a row is every sibling from its first to its last node, blocks inside it may have rendered more
+function rangeNodes({ first, last }) {
+  const nodes = [first];
+  for (let node = first; node && node !== last; ) {
+    node = node.nextSibling;
+    if (node) nodes.push(node);
+  }
+  return nodes;
+}
+
+// what for:each iterates, as [index, item] entries: arrays, numbers (1 to n), Maps and
+// plain objects (their keys are the index), Sets and any other iterable
+function toEntries(source) {
+  if (source == null) return [];
+  if (typeof source === "number") {
+    return Array.from({ length: Math.max(0, Math.floor(source)) }, (_, i) => [
+      i,
+      i + 1,
+    ]);
+  }
+  if (source instanceof Map) return Array.from(source.entries());
+  if (typeof source[Symbol.iterator] === "function") {
+    return Array.from(source, (item, index) => [index, item]);
+  }
+  if (typeof source === "object") return Object.entries(source);
+  return null;
+}
+
+const isKeyedCollection = (source) =>
+  source instanceof Map ||
+  (typeof source === "object" &&
+    source !== null &&
+    typeof source[Symbol.iterator] !== "function");
+
+// puts rows in order before the anchor, walking backwards so each row is placed before the next one.
+// new rows (oldIndex -1) are inserted, kept rows only move when they are not on the stable run.
+function moveRows(rows, anchor) {
+  const stable = longestIncreasingSubsequence(
+    rows.map(({ oldIndex }) => oldIndex)
+  );
+
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const row = rows[i];
+    if (!stable.has(i)) {
+      rangeNodes(row).forEach((node) =>
+        anchor.parentNode.insertBefore(node, anchor)
+      );
+    }
+    anchor = row.first;
+  }
+}
+
+// positions of a longest strictly increasing subsequence, negative values are skipped
+function longestIncreasingSubsequence(sequence) {
+  const tails = []; // tails[length - 1] = position of the smallest value ending a run of that length
+  const previous = [];
+
+  sequence.forEach((value, i) => {
+    if (value < 0) return;
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sequence[tails[middle]] < value) low = middle + 1;
+      else high = middle;
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const positions = new Set();
+  for (let i = tails.at(-1) ?? -1; i !== -1; i = previous[i]) positions.add(i);
+  return positions;
+}
+
+// components
+const components = new Map(); // tag name -> definition
+const hostAttributes = ["class", "style", "id", "slot", "ref"]; // stay on the host element, not passed as props
+
+// Register a component, used as a custom tag in other templates
+// definition: { template, state(props, { emit, host }), computed, watch, onMount, onUpdate, onDestroy }
+function component(name, definition) {
+  if (typeof definition?.template !== "string")
+    return console.error(`Error: component ${name} needs a template string.`);
+  components.set(name.toLowerCase(), definition);
+  // templates compiled before may use the tag
+  compiledTemplates = new WeakMap();
+  compiledDocuments = new WeakMap();
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+// nearest slots of the component being rendered
+function findSlots(scope = activeScope) {
+  while (scope && !scope.slots) scope = scope.parent;
+  return scope?.slots;
+}
+
+function getSlotContent(slot) {
+  const content = findSlots()?.get(slot.getAttribute("name") || "default");
+  return content?.length ? content : null;
+}
+
+// the host element stays in the DOM and renders the component's template
+// attributes and slotted come from the plan: the host's attributes and its compiled children
+function mountComponent(
+  host,
+  { definition, attributes, slotted },
+  variables,
+  stateManager
+) {
+  const scope = new Scope(); // released with the block or template that rendered the host
+  scope.store = definition.store;
+  const props = {};
+  let instance = null;
+
+  scope.run(() => {
+    // attributes are props, except listeners and the host's own attributes
+    const isHostAttribute = ({ name }) =>
+      name.startsWith("on") ||
+      name.startsWith(".") ||
+      name.startsWith("class:") ||
+      name.startsWith("style:") ||
+      hostAttributes.includes(name);
+
+    attributes.forEach((attr) => {
+      if (isHostAttribute(attr)) return;
+
+      const name = toCamelCase(attr.name);
+      const template = attr.value;
+      host.removeAttribute(attr.name);
+
+      registerDependencies(() => {
+        const value = evaluateTemplate(template, variables);
+        if (instance) instance.proxy[name] = value;
+        else props[name] = value;
+      });
+    });
+    parseAttributes(host, variables, attributes.filter(isHostAttribute));
+
+    // children are parsed in the parent's scope, then projected into the component's slots
+    const content = doc.createDocumentFragment();
+    content.append(...host.childNodes);
+    const slotScope = new Scope();
+    slotScope.slots = findSlots() || new Map();
+    slotScope.refScope = findRefScope();
+    slotScope.run(() =>
+      runPlan(slotted, resolvePlan(slotted, content), variables, stateManager)
+    );
+
+    scope.slots = new Map();
+    Array.from(content.childNodes).forEach((node) => {
+      const name =
+        (node.nodeType === ELEMENT_NODE && node.getAttribute("slot")) ||
+        "default";
+      if (!scope.slots.has(name)) scope.slots.set(name, []);
+      scope.slots.get(name).push(node);
+    });
+    // whitespace only: the slot's fallback content is used
+    const isBlank = (n) =>
+      n.nodeType === TEXT_NODE && n.nodeValue !== "" && !n.nodeValue.trim();
+    if (scope.slots.get("default")?.every(isBlank))
+      scope.slots.delete("default");
+
+    const emit = (name, detail) =>
+      host.dispatchEvent(new CustomEvent(name, { detail }));
+    const initialState = definition.state
+      ? definition.state({ ...props }, { emit, host })
+      : {};
+    Object.entries(props).forEach(([key, value]) => {
+      Object.defineProperty(initialState, key, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    });
+
+    instance = new ReactiveState(initialState, {
+      computed: definition.computed,
+      watch: definition.watch,
+      label: `<${host.localName}>`,
+    });
+    scope.add(instance.destroy);
+    scope.refs = instance.refs; // set last: the host's ref and the slotted content belong to the parent
+
+    lifecycleEvents.forEach((type) => {
+      const hook = definition[hookNames[type]];
+      hook && addHook(type, () => hook.call(instance, host));
+    });
+
+    // a hydrated host renders its template from the markup the server put in it
+    const fragment = renderTemplate(
+      compile(definition.template),
+      scope,
+      withStore(instance.proxy, scope),
+      instance,
+      claimedContent.get(host)
+    );
+    host.replaceChildren(fragment);
+    reportElement(scope, [host], host, instance);
+  });
+}
+
+// plugins see templates and components rendered and released
+function reportElement(scope, nodes, host, state) {
+  if (!plugins.length) return;
+  callPlugins("create", { nodes, host, state });
+  scope.add(
+    () => plugins.length && callPlugins("destroy", { nodes, host, state })
+  );
+}
+
+// runs the updater and re-runs it whenever a key it read changes
+function registerDependencies(update) {
+  const scope = activeScope;
+  const rerun = () => {
+    if (!effect.active) return;
+    const start = plugins.length && performance.now();
+    effect.run();
+    plugins.length &&
+      callPlugins("update", {
+        updater: update,
+        dependencies: effect.deps,
+        duration: performance.now() - start,
+      });
+    scope?.updated();
+  };
+  const effect = new Effect(update, () => queueJob(rerun));
+  scope?.add(() => effect.stop());
+  effect.run();
+  return effect;
+}
+
+// hydration
+// hydrate() renders a template over the markup renderToString rendered from it: the clone's nodes
+// claim the server's nodes they match and the plan runs on those. blocks keep the server's anchors,
+// their first render claims the nodes between them.
+const claimedContent = new WeakMap(); // server anchor or component host -> the server's nodes in it
+
+const anchorLabels = ["if", "each", "switch"];
+const isAnchor = (node) =>
+  node?.nodeType === COMMENT_NODE && anchorLabels.includes(node.nodeValue);
+
+// the nodes of a plan, swapped for the server's nodes they claimed
+function claimPlan(nodes, target, template, variables, server) {
+  const claimed = new Map(); // clone -> server node
+  claimChildren(target, template, variables, server, claimed);
+  return nodes.map((node) => claimed.get(node) || node);
+}
+
+// the template's nodes claim the server's nodes they match, then become the children of target.
+// server: the nodes left to claim, in order
+function claimChildren(target, template, variables, server, claimed) {
+  const nodes = claimNodes(
+    Array.from(template.childNodes),
+    server,
+    variables,
+    claimed
+  );
+
+  const current = Array.from(target.childNodes);
+  if (
+    nodes.length !== current.length ||
+    nodes.some((node, i) => node !== current[i])
+  ) {
+    target.replaceChildren(...nodes);
+  }
+}
+
+// from the first mismatch on, the template's clones are rendered and the server's other nodes dropped
+function claimNodes(nodes, server, variables, claimed) {
+  const result = [];
+  let matching = true;
+
+  for (let i = 0; i < nodes.length; i++) {
+    // a block's anchors are next to each other in the template
+    const node = nodes[i];
+    const group = isAnchor(node) ? [node, nodes[++i]] : [node];
+    const match =
+      matching &&
+      (isAnchor(node)
+        ? claimBlock(node, server)
+        : [claimNode(node, server, variables, claimed)]);
+
+    if (matching && !match?.[0]) {
+      console.warn(
+        "Hydration mismatch: the server's markup doesn't match the template at",
+        node
+      );
+      server.splice(0).forEach((rest) => rest.remove());
+      matching = false;
+    }
+
+    if (!matching) {
+      result.push(...group);
+      continue;
+    }
+    group.forEach((clone, index) => claimed.set(clone, match[index]));
+    result.push(...match);
+  }
+  return result;
+}
+
+function claimNode(node, server, variables, claimed) {
+  const next = server[0];
+
+  if (node.nodeType === TEXT_NODE) {
+    const text = hasExpression(node.nodeValue)
+      ? replaceVariables(node.nodeValue, variables)
+      : node.nodeValue;
+    if (text === "") return node; // nothing was rendered for it
+    if (next?.nodeType !== TEXT_NODE) return null;
+
+    server.shift();
+    // the parser joins adjacent text, what follows this node's text belongs to the next ones
+    if (
+      next.nodeValue.length > text.length &&
+      next.nodeValue.startsWith(text)
+    ) {
+      server.unshift(next.splitText(text.length));
     }
-    if (!this.subscribers.get(key).has(callback))
-      this.subscribers.get(key).add(callback);
-    return {
-      unsubscribe: () => {
-        this.subscribers.get(key).delete(callback);
-      },
-    };
+    return next;
   }
 
-  addExpression(variables, callback) {
-    let dependencies = { variables, callback };
-    this.expressions.push(dependencies);
-    return {
-      unsubscribe: () => {
-        let index = this.expressions.findIndex((obj) => obj !== dependencies);
-        this.expressions.slice(index, 1);
-      },
-    };
+  if (node.nodeType === COMMENT_NODE) {
+    return next?.nodeType === COMMENT_NODE ? server.shift() : null;
   }
 
-  // Notify all subscribers of a key
-  #notify(key) {
-    if (this.subscribers.has(key)) {
-      for (const callback of this.subscribers.get(key)) {
-        callback();
-      }
+  if (node.nodeType !== ELEMENT_NODE || next?.localName !== node.localName)
+    return null;
+  server.shift();
+
+  if (components.has(node.localName)) {
+    // the host's template claims what the server rendered in it, its own children are the slot content
+    claimedContent.set(next, Array.from(next.childNodes));
+    next.replaceChildren(...node.childNodes);
+  } else if (node.localName === "slot") {
+    next.replaceChildren(...node.childNodes); // projected content and fallbacks are rendered again
+  } else if (node.localName !== "template" && !node.hasAttribute("html")) {
+    claimChildren(next, node, variables, Array.from(next.childNodes), claimed);
+  }
+  return next;
+}
+
+// the server's anchors of the block, the nodes between them wait for its first render
+function claimBlock(anchor, server) {
+  const label = anchor.nodeValue;
+  if (server[0]?.nodeType !== COMMENT_NODE || server[0].nodeValue !== label)
+    return null;
+
+  let depth = 0;
+  for (let i = 1; i < server.length; i++) {
+    const node = server[i];
+    if (node.nodeType !== COMMENT_NODE) continue;
+    if (anchorLabels.includes(node.nodeValue)) depth++;
+    else if (node.nodeValue.startsWith("end:") && depth-- === 0) {
+      if (node.nodeValue !== `end:${label}`) return null;
+
+      const [blockStart, ...content] = server.splice(0, i + 1);
+      const blockEnd = content.pop();
+      claimedContent.set(blockStart, content);
+      return [blockStart, blockEnd];
     }
   }
-  #checkExpression(changedKey) {
-    this.expressions.forEach(({ variables, callback }) => {
-      if (variables.includes(changedKey)) {
-        callback();
-      }
-    });
+  return null;
+}
+
+// compiled templates
+// a template is analyzed once into a fragment and a plan, rendering clones the fragment and runs the plan
+// compiled templates are cached by their source, for each document: renderToString has its own.
+// the cache keeps the templates used last, what compile() returned stays valid when it is dropped
+const MAX_COMPILED_TEMPLATES = 500;
+let compiledTemplates = new WeakMap(); // document -> Map(source -> { source, fragment, plan }), oldest first
+let compiledDocuments = new WeakMap(); // compiled template -> the document it was compiled for
+
+// createElement, hydrate and renderToString take the result in place of the template string
+function compile(template) {
+  if (typeof template !== "string" && compiledDocuments.get(template) === doc)
+    return template;
+  const source = typeof template === "string" ? template : template.source;
+  if (!compiledTemplates.has(doc)) compiledTemplates.set(doc, new Map());
+  const cache = compiledTemplates.get(doc);
+
+  let compiled = cache.get(source);
+  if (compiled) cache.delete(source); // set again below: used last
+  else {
+    const fragment = doc.createRange().createContextualFragment(source);
+    compiled = { source, fragment, plan: compileChildren(fragment) };
+    compiledDocuments.set(compiled, doc);
   }
+  cache.set(source, compiled);
+  if (cache.size > MAX_COMPILED_TEMPLATES)
+    cache.delete(cache.keys().next().value);
+  return compiled;
 }
 
-// utils
-function createLocalProxy(localState, globalState, globalManager) {
-  return new Proxy(
-    {
-      ...localState,
-      __globalState: { ...globalState },
-      __globalManager: globalManager,
+// Main render function
+// template: a string or compile(template)
+// returns the fragment, with mount(target, anchor), unmount() and destroy() attached
+// options: { onMount, onUpdate, onDestroy } hooks, called with the root nodes
+function createElement(template, stateManager, options = {}) {
+  const { scope, rootNodes, fragment } = renderRoot(
+    template,
+    stateManager,
+    options
+  );
+
+  return Object.assign(fragment, {
+    mount(target, anchor = null) {
+      rootNodes.forEach((node) => fragment.appendChild(node));
+      target.insertBefore(fragment, anchor);
+      scope.mount();
+      return fragment;
     },
-    {
-      get(target, key) {
-        // console.log("local", key);
+    unmount() {
+      // nodes go back into the fragment so they can be mounted again
+      rootNodes.forEach((node) => fragment.appendChild(node));
+      scope.unmount();
+      return fragment;
+    },
+    destroy() {
+      scope.destroy();
+      fragment.unmount();
+      rootNodes.length = 0;
+    },
+  });
+}
 
-        if (key in target) return target[key];
-        if (key in globalState) return globalState[key];
-      },
-      set(target, key, value) {
-        if (typeof target[key] == "object" && target[key] == value) return true;
+// attaches a template's bindings to the markup renderToString rendered from it, root keeps its nodes.
+// state: a ReactiveState or a plain object, returns { state, destroy() }
+function hydrate(root, template, state, options = {}) {
+  const stateManager =
+    state instanceof ReactiveState ? state : new ReactiveState(state);
+  const { scope, rootNodes } = renderRoot(
+    template,
+    stateManager,
+    options,
+    root
+  );
 
-        if (key in target) {
-          target[key] = value;
+  return {
+    state: stateManager,
+    destroy() {
+      scope.destroy();
+      rootNodes.forEach((node) => node.remove());
+      rootNodes.length = 0;
+    },
+  };
+}
 
-          return true;
-        }
-        if (key in globalState) {
-          globalState[key] = value;
-          return true;
-        }
-        return false;
-      },
-    }
+// renders a clone of the template as a root, over root's children when hydrating
+function renderRoot(template, stateManager, options, root) {
+  const { fragment: source, plan } = compile(template);
+  const fragment = source.cloneNode(true);
+  let nodes = resolvePlan(plan, fragment);
+
+  const scope = new Scope();
+  const proxy = withStore(stateManager.proxy, scope);
+  const rootNodes = [];
+  scope.refs = stateManager.refs;
+  scope.store = options.store;
+
+  scope.run(() => {
+    lifecycleEvents.forEach((type) => {
+      const hook = options[hookNames[type]];
+      hook && addHook(type, () => hook.call(stateManager, rootNodes));
+    });
+    if (root)
+      nodes = claimPlan(
+        nodes,
+        root,
+        fragment,
+        proxy,
+        Array.from(root.childNodes)
+      );
+    runPlan(plan, nodes, proxy, stateManager);
+  });
+
+  rootNodes.push(...(root || fragment).childNodes);
+  reportElement(scope, rootNodes, null, stateManager);
+
+  // appended by hand: mounted if the nodes are in the document after the current task
+  queuePostFlush(
+    () => rootNodes.some((node) => node.isConnected) && scope.mount()
   );
+
+  return { scope, rootNodes, fragment };
 }
 
-function replaceVariables(template, variables) {
-  return template.replace(braceRegex, (_, expression) => {
-    const trimmedExpression = expression.trim();
-    const evaluation = evaluateExpression(trimmedExpression, variables);
-    return evaluation;
+// server rendering
+// renderToString renders in a small document of its own: nodes with the parts of the DOM the
+// renderer uses (attributes, classList, style, value, boolean properties), a parser and a serializer.
+const voidElements = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+const rawTextElements = ["script", "style", "textarea", "title"]; // their content is text, not markup
+// an opening tag closes an open sibling of these: <li>a<li>b
+const impliedEnds = {
+  li: ["li"],
+  option: ["option"],
+  dt: ["dt", "dd"],
+  dd: ["dt", "dd"],
+  tr: ["tr", "td", "th"],
+  td: ["td", "th"],
+  th: ["td", "th"],
+};
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+const escapeAttribute = (text) =>
+  String(text).replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+
+const entities = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+};
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] !== "#") return entities[name.toLowerCase()] ?? entity;
+    const code = /^#x/i.test(name)
+      ? parseInt(name.slice(2), 16)
+      : Number(name.slice(1));
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
   });
 }
 
-function evaluateExpression(expression, stateProxy) {
-  // console.log(expression, stateProxy);
-  const keys = Object.keys(stateProxy);
-  const values = Object.values(stateProxy);
+// strings become text nodes, like in append() and replaceWith()
+const toServerNodes = (nodes) =>
+  nodes.map((node) =>
+    typeof node === "string" ? new ServerText(TEXT_NODE, node) : node
+  );
 
-  try {
-    const fn = new Function(...keys, `return (${expression});`);
-    const evaluation = fn(...values);
+class ServerNode {
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
 
-    return evaluation;
-  } catch (error) {
-    try {
-      const globalStateProxy = stateProxy.__globalManager.proxy;
+  get firstChild() {
+    return this.childNodes[0] ?? null;
+  }
 
-      if (globalStateProxy) {
-        let fn = new Function(
-          ...Object.keys(globalStateProxy),
-          `return (${expression});`
-        );
-        return fn(...Object.values(globalStateProxy));
-      }
-    } catch (fallbackError) {
-      // console.log(expression, stateProxy);
-      console.error(`Error evaluating expression ${expression}`);
-      return null;
-    }
+  get lastChild() {
+    return this.childNodes.at(-1) ?? null;
   }
-}
 
-function setAttributes(element, attrName, value) {
-  if (value === "true") {
-    // Boolean attributes: set the attribute with an empty value
-    element.setAttribute(attrName, "");
-  } else if (value === "false" || value === "null" || value === "undefined") {
-    // Boolean attributes: remove the attribute
-    element.removeAttribute(attrName);
-  } else if (attrName === "value" && element instanceof HTMLInputElement) {
-    // Special case for input value: set the property directly
-    // element.setAttribute("value", value); // this reflects the state in the dom -> it less performant
-    element.value = value;
-  } else if (attrName === "style" && typeof value === "string") {
-    // Style attribute: set as a string
-    element.setAttribute("style", value);
-  } else if (attrName === "class") {
-    // Class attribute: set as a string
-    element.setAttribute("class", value);
-  } else {
-    // General case: set the attribute directly
-    element.setAttribute(attrName, value);
+  get nextSibling() {
+    const siblings = this.parentNode?.childNodes;
+    return siblings?.[siblings.indexOf(this) + 1] ?? null;
   }
-}
 
-let Booleans = [
-  "true",
-  "false",
-  "null",
-  "undefined",
-  "NaN",
-  "NaN",
-  "Infinity",
-  "-Infinity",
-];
-const isStringRegx = new RegExp(/(['"])(?:(?!\1|\\).|\\.)*\1/); // check for string args -> "hello" : it's not a prop in variables
+  get previousSibling() {
+    const siblings = this.parentNode?.childNodes;
+    return siblings?.[siblings.indexOf(this) - 1] ?? null;
+  }
 
-// textNodes and attributes parse
-function parseNode(node, variables, stateManager) {
-  if (node.nodeType === Node.TEXT_NODE) {
-    const template = node.nodeValue;
-    if (!braceRegex.test(template)) return;
+  get nextElementSibling() {
+    let node = this.nextSibling;
+    while (node && node.nodeType !== ELEMENT_NODE) node = node.nextSibling;
+    return node;
+  }
 
-    const update = () => {
-      node.nodeValue = replaceVariables(template, variables);
-    };
-    update();
+  get children() {
+    return this.childNodes.filter((node) => node.nodeType === ELEMENT_NODE);
+  }
 
-    registerDependencies(template, variables, update, stateManager);
+  // never in a page: a server render is not mounted
+  get isConnected() {
+    return false;
   }
 
-  if (node.nodeType === Node.ELEMENT_NODE) {
-    // Process attributes
-    Array.from(node.attributes).forEach((attr) => {
-      if (attr.name.startsWith("on")) {
-        // Event handling
-        const eventType = attr.name.slice(2);
-        const functionInvocation = attr.value.trim();
-        const match = functionInvocation.match(
-          /\s*(\w+)\s*(?:\(\s*(.*?)\s*\))?\s*/
-        );
+  get textContent() {
+    return this.childNodes
+      .filter((node) => node.nodeType !== COMMENT_NODE)
+      .map((node) => node.textContent)
+      .join("");
+  }
 
-        if (!match)
-          return console.error(
-            `Invalid event handler syntax in attribute ${attr.name}:"${functionInvocation}". Expected ${attr.name}:"functionName" or "functionName(arg1, arg2,...)."`
-          );
+  set textContent(text) {
+    this.replaceChildren(...(isEmpty(text) ? [] : [String(text)]));
+  }
 
-        const functionName = match[1].trim();
-        const argString = match[2] ? match[2].trim() : null;
+  insertBefore(node, reference) {
+    const nodes =
+      node.nodeType === FRAGMENT_NODE ? [...node.childNodes] : [node];
+    nodes.forEach((child) => child.remove());
+    const index = reference ? this.childNodes.indexOf(reference) : -1;
+    this.childNodes.splice(
+      index === -1 ? this.childNodes.length : index,
+      0,
+      ...nodes
+    );
+    nodes.forEach((child) => (child.parentNode = this));
+    return node;
+  }
 
-        const handler = variables[functionName];
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
 
-        if (!handler)
-          return console.warn(`function ${functionName} is not defined.`);
+  removeChild(node) {
+    node.remove();
+    return node;
+  }
 
-        if (typeof handler === "function") {
-          node.addEventListener(eventType, (e) => {
-            const argv = argString
-              ? argString
-                  .split(/\s*,\s*/)
-                  .map((arg) => getArgumentValue(arg.trim(), variables))
-              : [];
+  append(...nodes) {
+    toServerNodes(nodes).forEach((node) => this.appendChild(node));
+  }
 
-            handler.call(variables, ...argv, e);
-          });
-        }
-        node.removeAttribute(attr.name);
-      } else {
-        // Reactive attributes
-        const template = attr.nodeValue;
-        if (!braceRegex.test(template)) return;
+  replaceChildren(...nodes) {
+    const fragment = new ServerFragment();
+    fragment.append(...nodes);
+    [...this.childNodes].forEach((child) => child.remove());
+    this.appendChild(fragment);
+  }
 
-        const update = () => {
-          const value = replaceVariables(template, variables);
+  replaceWith(...nodes) {
+    const parent = this.parentNode;
+    if (!parent) return;
+    nodes = toServerNodes(nodes);
+    let next = this.nextSibling;
+    while (nodes.includes(next)) next = next.nextSibling;
 
-          setAttributes(node, attr.name, value);
-        };
-        update();
-        registerDependencies(template, variables, update, stateManager);
-      }
-    });
+    const fragment = new ServerFragment();
+    fragment.append(...nodes);
+    this.remove();
+    parent.insertBefore(fragment, next);
+  }
 
-    // Process child nodes
-    Array.from(node.childNodes).forEach((child) =>
-      parseNode(child, variables, stateManager)
+  remove() {
+    if (!this.parentNode) return;
+    this.parentNode.childNodes.splice(
+      this.parentNode.childNodes.indexOf(this),
+      1
     );
+    this.parentNode = null;
   }
-}
 
-function getArgumentValue(currentArg, variables) {
-  // handles boolean
-  if (Booleans.some((b) => b == currentArg)) {
-    return parsePrimitive(currentArg);
+  contains(node) {
+    for (; node; node = node.parentNode) if (node === this) return true;
+    return false;
   }
 
-  // handles strings
-  if (isStringRegx.test(currentArg)) {
-    let match = currentArg.match(isStringRegx);
-    return match[0].trim().replace(/['"]/g, ""); // removes quotes
-  } else {
-    // handles state derived data
-
-    if (currentArg.includes(".")) {
-      let objKey = currentArg.split(".")[0];
-      let targetKey = currentArg.split(".").at(-1);
-
-      if (!(targetKey in variables[objKey])) {
-        console.error(
-          `Error: undefined reading arguments ${currentArg}.`,
-          variables[objKey]
-        );
-        return;
-      }
-    }
+  cloneNode(deep = false) {
+    const clone = this.cloneSelf();
+    if (deep)
+      this.childNodes.forEach((child) =>
+        clone.appendChild(child.cloneNode(true))
+      );
+    return clone;
+  }
 
-    return evaluateExpression(currentArg, variables); // else evaluate it from state
+  // events are not dispatched on the server
+  addEventListener() {}
+  removeEventListener() {}
+  dispatchEvent() {
+    return true;
   }
 }
 
-// parses if Statements
-function getBlock(nodes) {
-  let i = 0;
-
-  while (i < nodes.length) {
-    if (
-      nodes[i].nodeType === Node.TEXT_NODE &&
-      start_if.test(nodes[i].nodeValue)
-    ) {
-      let j = i + 1;
-      let elseIndex = -1;
-      let blockStart = nodes[i];
-      let condition = nodes[i].nodeValue.match(start_if)[1];
-
-      // Scan for "end" or "else"
-      while (j < nodes.length) {
-        if (
-          nodes[j].nodeType === Node.TEXT_NODE &&
-          endIfRegx.test(nodes[j].nodeValue)
-        ) {
-          break; // End of block
-        }
-        if (
-          nodes[j].nodeType === Node.TEXT_NODE &&
-          elseRegx.test(nodes[j].nodeValue) &&
-          elseIndex === -1
-        ) {
-          elseIndex = j; // Mark first occurrence of "else"
-        }
-
-        j++;
-      }
+// text and comments
+class ServerText extends ServerNode {
+  constructor(nodeType, nodeValue) {
+    super(nodeType);
+    this.nodeValue = String(nodeValue);
+  }
 
-      // Extract the if block
-      let ifBlock = nodes.slice(i + 1, elseIndex !== -1 ? elseIndex : j);
-      let elseBlock = elseIndex !== -1 ? nodes.slice(elseIndex + 1, j) : [];
+  get textContent() {
+    return this.nodeValue;
+  }
 
-      nodes.splice(i, j - i);
-      // Remove processed nodes
-      return { ifBlock, elseBlock, blockStart, condition };
-    }
-    i++;
+  set textContent(text) {
+    this.nodeValue = String(text ?? "");
   }
 
-  return null;
+  cloneSelf() {
+    return new ServerText(this.nodeType, this.nodeValue);
+  }
 }
 
-// new implementation -> may have fixed the consecutive blocks issues
-function parseIfStatements(node, variables, stateManager) {
-  const nodes = Array.from(node.childNodes);
-  if (!nodes.length) return;
-  let shallowCopyOfNodes = [...nodes]; // temp copy of nodes
-  let blocks = [];
-
-  // Extract blocks at the same level
-  while (shallowCopyOfNodes.length) {
-    let currentBlock = getBlock(shallowCopyOfNodes);
-    if (!currentBlock) break;
-    blocks.push(currentBlock);
-  }
-
-  // Process extracted blocks
-  blocks &&
-    blocks.forEach(
-      ({
-        ifBlock: ifNodes,
-        elseBlock: elseNodes,
-        condition: expression,
-        blockStart,
-      }) => {
-        const parentNode = node;
-
-        // console.log(ifNodes, elseNodes, expression);
-
-        // their initial node parsing to save reactive bits for update
-        ifNodes.forEach((node) => {
-          parseEachBlocks(node, variables, stateManager);
-          parseIfStatements(node, variables, stateManager); // handles nested if statements
-          parseNode(node, variables, stateManager);
-        });
-        elseNodes.length &&
-          elseNodes.forEach((node) => {
-            parseEachBlocks(node, variables, stateManager);
-            parseIfStatements(node, variables, stateManager);
-            parseNode(node, variables, stateManager);
-          });
-
-        let lastEval = undefined;
-        let tempFragment = document.createDocumentFragment(); // temporarily holds the nodes
-
-        // Initial rendering
-        const update = () => {
-          let evaluation = evaluateExpression(expression, variables);
-          if (lastEval === evaluation) return;
-
-          if (evaluation) {
-            ifNodes.forEach((n) => tempFragment.appendChild(n));
-            elseNodes.length && elseNodes.forEach((n) => n.remove());
-          } else {
-            elseNodes.length &&
-              elseNodes.forEach((n) => tempFragment.appendChild(n));
-            ifNodes.forEach((n) => n.remove());
-          }
-          parentNode.insertBefore(tempFragment, blockStart.nextSibling);
-          lastEval = evaluation;
-        };
+class ServerFragment extends ServerNode {
+  constructor() {
+    super(FRAGMENT_NODE);
+  }
 
-        update();
-        registerDependencies(
-          `{${expression}}`,
-          variables,
-          update,
-          stateManager
-        );
-      }
-    );
+  cloneSelf() {
+    return new ServerFragment();
+  }
+}
 
-  // Cleanup syntax markers
-  nodes.forEach((n) => {
-    if (n.nodeType === Node.TEXT_NODE) {
-      n.nodeValue = n.nodeValue
-        .replace(start_if, "")
-        .replace(elseRegx, "")
-        .replace(endIfRegx, "");
-    }
-  });
+class ServerAttribute {
+  constructor(name, value) {
+    this.name = name;
+    this.value = value;
+  }
 
-  // Continue parsing the remaining nodes (non-if blocks)
-  nodes.forEach((child) => parseIfStatements(child, variables, stateManager));
+  get nodeValue() {
+    return this.value;
+  }
 }
 
-// parses each blocks
-function parseEachBlocks(element, variables, stateManager) {
-  const nodes = Array.from(element.childNodes);
-  if (!nodes.length) return;
+class ServerElement extends ServerNode {
+  constructor(localName) {
+    super(ELEMENT_NODE);
+    this.localName = localName;
+    this.attributes = [];
+    if (localName === "template") this.content = new ServerFragment();
 
-  nodes.forEach((node) => {
-    if (node.nodeType === Node.TEXT_NODE && start_each.test(node.nodeValue)) {
-      const match = node.nodeValue.match(start_each);
+    const classNames = () =>
+      (this.getAttribute("class") || "").split(/\s+/).filter(Boolean);
+    const setClassNames = (names) =>
+      names.length
+        ? this.setAttribute("class", names.join(" "))
+        : this.removeAttribute("class");
+    this.classList = {
+      contains: (name) => classNames().includes(name),
+      add: (...names) =>
+        setClassNames([...new Set([...classNames(), ...names])]),
+      remove: (...names) =>
+        setClassNames(classNames().filter((name) => !names.includes(name))),
+      toggle: (name, force = !this.classList.contains(name)) => {
+        force ? this.classList.add(name) : this.classList.remove(name);
+        return force;
+      },
+    };
 
-      let itemName = match[1].trim();
-      const indexName = match[2]?.trim() || "index";
-      const arrayName = match[3].trim();
+    const declarations = () =>
+      new Map(
+        splitTopLevel(this.getAttribute("style") || "", ";")
+          .map((declaration) =>
+            declaration.split(/:(.*)/s).map((part) => part.trim())
+          )
+          .filter(([property, value]) => property && value)
+      );
+    const setDeclarations = (style) =>
+      style.size
+        ? this.setAttribute(
+            "style",
+            Array.from(style, ([p, v]) => `${p}: ${v};`).join(" ")
+          )
+        : this.removeAttribute("style");
+    this.style = {
+      getPropertyValue: (property) =>
+        declarations()
+          .get(property)
+          ?.replace(/\s*!important$/, "") ?? "",
+      setProperty: (property, value, priority) => {
+        const style = declarations();
+        if (isEmpty(value)) style.delete(property);
+        else
+          style.set(
+            property,
+            priority === "important" ? `${value} !important` : String(value)
+          );
+        setDeclarations(style);
+      },
+      removeProperty: (property) => {
+        const style = declarations();
+        style.delete(property);
+        setDeclarations(style);
+      },
+    };
+  }
 
-      // allows object destrucutring in for each for itemName
-      const isDistructuredItem = braceRegex.test(itemName);
-      const keys =
-        isDistructuredItem && itemName.split(/[^a-zA-Z_$\.]+/).filter(Boolean);
-      isDistructuredItem && (itemName = "__domMasterObject__"); // won't be used when updating dynamicly created elements. need key values paird will be spread in the localProxy created.
+  getAttribute(name) {
+    return this.attributes.find((attr) => attr.name === name)?.value ?? null;
+  }
 
-      const eachContent = node.nextElementSibling;
+  hasAttribute(name) {
+    return this.attributes.some((attr) => attr.name === name);
+  }
 
-      const expression = node.nodeValue.trim();
+  setAttribute(name, value) {
+    name = name.toLowerCase();
+    const attr = this.attributes.find((attr) => attr.name === name);
+    if (attr) attr.value = String(value);
+    else this.attributes.push(new ServerAttribute(name, String(value)));
+  }
 
-      if (!endEach.test(eachContent.nextSibling.nodeValue)) {
-        console.error(
-          `Error: Expected closing state for each block: ${expression}`
-        );
-      }
+  removeAttribute(name) {
+    this.attributes = this.attributes.filter((attr) => attr.name !== name);
+  }
 
-      const parentNode = node.parentNode;
-      let blockStart = node;
+  toggleAttribute(name, force = !this.hasAttribute(name)) {
+    if (!force) this.removeAttribute(name);
+    else if (!this.hasAttribute(name)) this.setAttribute(name, "");
+    return force;
+  }
 
-      // Create a tracking state for the block
-      const state = {
-        domNodes: [], // Tracks rendered DOM nodes
-      };
+  get type() {
+    return (
+      this.getAttribute("type") || (this.localName === "input" ? "text" : "")
+    );
+  }
 
-      const update = () => {
-        // Handle additions, removals, or reordering
-        // const newItems = variables[arrayName];
-        let value = getValueFromExpression(variables, arrayName).value || [];
-        const newItems = value ? value : null;
-
-        // gotta handle each expression for nested for each
-        if (!newItems || !Array.isArray(newItems)) {
-          // throw new Error(`${arrayName}: is not an array at ${expression}`);
-          console.error(
-            `${arrayName}: is not an array at ${expression}`,
-            variables
-          );
-        }
+  get options() {
+    const options = [];
+    const walk = (node) =>
+      node.children.forEach((child) =>
+        child.localName === "option" ? options.push(child) : walk(child)
+      );
+    walk(this);
+    return options;
+  }
 
-        // will use an object to
-        newItems.forEach((item) => {
-          if (typeof item === "object" && !item._dom_master_key) {
-            Object.defineProperty(item, "_dom_master_key", {
-              value: uniid(),
-              enumerable: false,
-              writable: false,
-            });
-          }
-        });
+  get selectedOptions() {
+    return this.options.filter((option) => option.selected);
+  }
 
-        // set oldNodes
-        const oldNodeMap = new Map(
-          state.domNodes.map(({ node, data, stateProxy, localManager }) => {
-            return [
-              data._dom_master_key,
-              { node, data, stateProxy, localManager },
-            ];
-          })
-        );
+  // value renders as markup: the attribute of inputs and options, the text of a textarea
+  get value() {
+    if (this.localName === "textarea") return this.textContent;
+    if (this.localName === "select")
+      return this.selectedOptions[0]?.value ?? "";
+    if (this.localName === "option")
+      return this.getAttribute("value") ?? this.textContent;
+    return this.getAttribute("value") ?? "";
+  }
 
-        const newDomNodes = [];
+  set value(value) {
+    if (this.localName === "textarea") this.textContent = value;
+    else if (this.localName === "select") {
+      this.options.forEach(
+        (option) => (option.selected = option.value === String(value))
+      );
+    } else this.setAttribute("value", value ?? "");
+  }
 
-        newItems.forEach((item, index) => {
-          const _dom_master_key =
-            typeof item === "object" ? item._dom_master_key : item;
+  get innerHTML() {
+    return this.childNodes.map(serialize).join("");
+  }
 
-          if (oldNodeMap.size && oldNodeMap.has(_dom_master_key)) {
-            const { node, data, stateProxy, localManager } =
-              oldNodeMap.get(_dom_master_key);
+  set innerHTML(html) {
+    this.replaceChildren(...parseHTML(String(html)).childNodes);
+  }
 
-            if (data.index != index) {
-              // update index binding for node(via proxy)
-              stateProxy[indexName] = index;
-              localManager[indexName] = index;
-            }
+  get outerHTML() {
+    return serialize(this);
+  }
 
-            let newData =
-              typeof data.item == "object" ? structuredClone(item) : item;
-
-            // FIXME: here accessing the proxy (when updating existing nodes) is neccessary for subscrition to trigger(need investigating)
-            if (keys) {
-              keys.forEach((key) => {
-                stateProxy[key] = newData[key];
-                localManager.proxy[key] = newData[key];
-              });
-            } else {
-              stateProxy[itemName] = newData;
-              localManager.proxy[itemName] = newData;
-            }
+  cloneNode(deep = false) {
+    const clone = super.cloneNode(deep);
+    if (deep && this.content) clone.content = this.content.cloneNode(true);
+    return clone;
+  }
 
-            // save new data
-            newDomNodes.push({
-              node,
-              data: {
-                item,
-                index: index,
-                _dom_master_key,
-              },
-              stateProxy,
-              localManager,
-            });
-
-            oldNodeMap.delete(_dom_master_key);
-          } else if (newItems.length !== state.domNodes.length) {
-            let localContext = {};
-            if (isDistructuredItem) {
-              const newObj = Object.fromEntries(
-                keys.map((key) => {
-                  if (!(key in item))
-                    console.error(
-                      `Error: undefined reading ${key} at: ${expression}`
-                    );
-                  return [key, item[key]];
-                })
-              );
-
-              localContext = {
-                ...newObj,
-                [indexName]: index,
-              };
-            } else {
-              localContext = {
-                [itemName]: item,
-                [indexName]: index,
-              };
-            }
+  cloneSelf() {
+    const clone = new ServerElement(this.localName);
+    clone.attributes = this.attributes.map(
+      ({ name, value }) => new ServerAttribute(name, value)
+    );
+    return clone;
+  }
+}
 
-            const localManager = new ReactiveState(
-              localContext,
-              // persist store down to dynamicly created elements
-              stateManager?.globalState
-            );
-            const localProxy = localManager.proxy;
-
-            const stateProxy = createLocalProxy(
-              localProxy,
-              variables,
-              stateManager
-            );
-
-            const node = eachContent.cloneNode(true); // cloned node
-
-            // handles nested blocks
-            // parseEachBlocks(node, stateProxy, localManager);
-            if (
-              Array.from(node.childNodes).some((n) =>
-                start_each.test(n.nodeValue)
-              )
-            ) {
-              console.warn(
-                "for:each -> does not work well with nested statements for too much change might cause interfaces to behave in unexpected ways. use for simpler tasks!"
-              );
-            }
-            parseEachBlocks(node, stateProxy, localManager);
-            parseIfStatements(node, stateProxy, localManager); // allow dynamic nested if blocks
-            parseNode(node, stateProxy, localManager);
-
-            newDomNodes.push({
-              node,
-              data: { item, index, _dom_master_key }, // initializes the key when creating a nodes. and persist it.
-              stateProxy,
-              localManager,
-            });
-          }
-        });
+// checked, selected, disabled...: the property is the attribute
+booleanAttributes.forEach((name) =>
+  Object.defineProperty(ServerElement.prototype, name, {
+    get() {
+      return this.hasAttribute(name);
+    },
+    set(value) {
+      this.toggleAttribute(name, !!value);
+    },
+  })
+);
 
-        // remove oldnodes
-        oldNodeMap.forEach(({ node }) => {
-          parentNode.removeChild(node);
-        });
+const serverDocument = {
+  createElement: (name) => new ServerElement(name.toLowerCase()),
+  createTextNode: (text) => new ServerText(TEXT_NODE, text),
+  createComment: (text) => new ServerText(COMMENT_NODE, text),
+  createDocumentFragment: () => new ServerFragment(),
+  createRange: () => ({ createContextualFragment: parseHTML }),
+  addEventListener() {},
+  removeEventListener() {},
+};
 
-        // append new domnodes
-        let node_placeholder = document.createDocumentFragment();
-        newDomNodes.forEach(({ node }) => {
-          node_placeholder.appendChild(node);
-        });
+const tagRegex = /<([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*?)\/?>/y;
+const endTagRegex = /<\/([a-zA-Z][^\s/>]*)[^>]*>/y;
+const attributeRegex =
+  /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
 
-        if (node_placeholder.childNodes.length) {
-          parentNode.insertBefore(node_placeholder, blockStart.nextSibling); // makes sure that it doesn't brake the normal flow of the ui.
-        }
+// a forgiving parser, as far as templates need one: elements, attributes, text, comments,
+// void and raw text elements. an end tag closes every element opened after its own
+function parseHTML(html) {
+  const fragment = new ServerFragment();
+  const open = [fragment];
+  const parent = () => open.at(-1).content || open.at(-1);
 
-        // update state
-        state.domNodes = newDomNodes;
-      };
+  const appendText = (text) => {
+    if (!text) return;
+    const last = parent().lastChild;
+    if (last?.nodeType === TEXT_NODE) last.nodeValue += decodeEntities(text);
+    else parent().appendChild(new ServerText(TEXT_NODE, decodeEntities(text)));
+  };
 
-      if (eachContent) {
-        // intial render
-        update();
-        // Register for reactive updates
-        registerDependencies(`{${arrayName}}`, variables, update, stateManager);
-        eachContent.remove();
-      } else {
-        console.error(`Error: empty for:each block. at ${expression}`);
-      }
+  let index = 0;
+  while (index < html.length) {
+    const next = html.indexOf("<", index);
+    if (next === -1) {
+      appendText(html.slice(index));
+      break;
     }
-  });
+    appendText(html.slice(index, next));
+    index = next;
 
-  // cleanup synthax
-  nodes.forEach((node) => {
-    if (node.nodeType == Node.TEXT_NODE) {
-      node.nodeValue = node.textContent
-        .replace(start_each, "")
-        .replace(endEach, "");
+    if (html.startsWith("<!--", index)) {
+      const end = html.indexOf("-->", index + 4);
+      const stop = end === -1 ? html.length : end;
+      parent().appendChild(
+        new ServerText(COMMENT_NODE, html.slice(index + 4, stop))
+      );
+      index = stop + 3;
+      continue;
     }
-  });
-
-  nodes.forEach((child) => {
-    parseEachBlocks(child, variables, stateManager);
-  });
-}
-
-function uniid() {
-  let random = parseFloat(Math.random() * 0.999999);
-  return random.toString(36).substring(2, 12);
-}
 
-function getValueFromExpression(variables, target) {
-  const parts = target.split(/[.\[\]]/).filter(Boolean);
-  let current = variables;
+    endTagRegex.lastIndex = index;
+    const endTag = endTagRegex.exec(html);
+    if (endTag) {
+      const name = endTag[1].toLowerCase();
+      const position = open.findLastIndex((node) => node.localName === name);
+      if (position > 0) open.length = position;
+      index = endTagRegex.lastIndex;
+      continue;
+    }
 
-  for (let i = 0; i < parts.length - 1; i++) {
-    const key = parts[i];
-    if (current == null || !(key in current)) {
-      return { has: false, value: undefined };
+    tagRegex.lastIndex = index;
+    const tag = tagRegex.exec(html);
+    if (!tag) {
+      // <!doctype html> and <?...> are skipped, any other < is text
+      if (html[index + 1] !== "!" && html[index + 1] !== "?") {
+        appendText("<");
+        index++;
+        continue;
+      }
+      const end = html.indexOf(">", index);
+      index = end === -1 ? html.length : end + 1;
+      continue;
     }
-    current = current[key];
-  }
-  const laskey = parts[parts.length - 1];
-  return { has: true, value: current[laskey] };
-}
-function registerDependencies(template, variables, callback, stateManager) {
-  const expressions = template.match(braceRegex);
+    index = tagRegex.lastIndex;
 
-  expressions.forEach((expression) => {
-    const filteredTokens = getTokensFromExpression(
-      expression,
-      variables,
-      stateManager
-    );
+    const name = tag[1].toLowerCase();
+    if (impliedEnds[name]?.includes(open.at(-1).localName)) open.pop();
 
-    if (filteredTokens.length == 1) {
-      filteredTokens.forEach((token) => {
-        if (variables?.__globalState && token in variables.__globalState) {
-          // takes care of dynamiclly created nodes
-          variables.__globalManager.subscribe(token, callback);
-        } else {
-          stateManager.subscribe(token, callback);
-        }
-      });
-    }
-    // saves update for an expression that depends on multiple state properties(if at least one changes update is triggered)
-    else {
-      if (
-        filteredTokens.some(
-          (token) =>
-            variables?.__globalState && token in variables.__globalState
-        )
-      ) {
-        unsub = variables.__globalManager.addExpression(
-          filteredTokens,
-          callback
+    const element = new ServerElement(name);
+    for (const [, attrName, ...values] of tag[2].matchAll(attributeRegex)) {
+      const value = values.find((value) => value !== undefined) ?? "";
+      if (!element.hasAttribute(attrName.toLowerCase())) {
+        element.attributes.push(
+          new ServerAttribute(attrName.toLowerCase(), decodeEntities(value))
         );
-      } else {
-        stateManager.addExpression(filteredTokens, callback);
       }
     }
-  });
-}
-
-function getTokensFromExpression(expression, variables, stateManager) {
-  const tokens = expression
-    .replace(/(['"])(?:(?!\1|\\).|\\.)*\1/g, "") // Remove quoted substrings
-    .trim()
-    .split(/[^a-zA-Z_$\.]+/)
-    .filter(Boolean);
+    parent().appendChild(element);
 
-  function isInTarget(key, target) {
-    return key in target;
+    // like in a browser, /> only closes void elements
+    if (voidElements.has(name)) continue;
+    if (rawTextElements.includes(name)) {
+      const end = html.toLowerCase().indexOf(`</${name}`, index);
+      const stop = end === -1 ? html.length : end;
+      const text = html.slice(index, stop);
+      const isText = name === "textarea" || name === "title"; // entities are decoded in these two
+      if (text)
+        element.appendChild(
+          new ServerText(TEXT_NODE, isText ? decodeEntities(text) : text)
+        );
+      index = stop; // the end tag is read as any other
+      continue;
+    }
+    open.push(element);
   }
 
-  // filter tokens(props in state)
-  const filteredTokens = [...new Set(tokens)]
-    .map((token) => {
-      if (token.includes(".")) {
-        return token.split(".")[0];
-      }
-      if (token.includes("[")) {
-        return token.split("[")[0];
-      }
-      return token;
-    })
-    .filter((token) => {
-      let isInVars = isInTarget(token, variables);
-      let isIn_globalState =
-        variables?.__globalState && isInTarget(token, variables?.__globalState);
-      let isInGlobalStore =
-        stateManager?.globalState &&
-        isInTarget(token, stateManager.globalState.state);
-
-      let check = isInVars || isIn_globalState || isInGlobalStore;
-      return check || false;
-    });
-
-  return filteredTokens || [];
+  return fragment;
 }
 
-// Main render function
-function createElement(template, stateManager) {
-  const fragment = document.createRange().createContextualFragment(template);
+function serialize(node) {
+  if (node.nodeType === TEXT_NODE) {
+    const parent = node.parentNode?.localName;
+    return parent === "script" || parent === "style"
+      ? node.nodeValue
+      : escapeHtml(node.nodeValue);
+  }
+  if (node.nodeType === COMMENT_NODE) return `<!--${node.nodeValue}-->`;
 
-  const proxy = stateManager.proxy;
+  const children = (node.content || node).childNodes.map(serialize).join("");
+  if (node.nodeType !== ELEMENT_NODE) return children;
 
-  Array.from(fragment.childNodes).forEach((node) => {
-    parseEachBlocks(node, proxy, stateManager);
-  });
-  Array.from(fragment.childNodes).forEach((node) => {
-    parseIfStatements(node, proxy, stateManager);
-  });
-  Array.from(fragment.childNodes).forEach((node) => {
-    parseNode(node, proxy, stateManager);
-  });
+  const attributes = node.attributes
+    .map(({ name, value }) => ` ${name}="${escapeAttribute(value)}"`)
+    .join("");
+  return voidElements.has(node.localName)
+    ? `<${node.localName}${attributes}>`
+    : `<${node.localName}${attributes}>${children}</${node.localName}>`;
+}
 
-  return fragment;
+// renders a template to an HTML string without a DOM: in Node, a worker or at build time.
+// blocks and components render once, with the anchors hydrate() claims later. hooks don't run.
+// state: a ReactiveState or a plain object, options: { store }
+function renderToString(template, state, options = {}) {
+  const stateManager =
+    state instanceof ReactiveState ? state : new ReactiveState(state);
+  const previous = doc;
+  doc = serverDocument;
+
+  try {
+    const { scope, fragment } = renderRoot(template, stateManager, {
+      store: options.store,
+    });
+    const html = serialize(fragment);
+    scope.dispose();
+    return html;
+  } finally {
+    doc = previous;
+    if (stateManager !== state) stateManager.destroy();
+  }
 }
-// CDN
+
+// CDN, the module also loads where there is no window: in Node for renderToString
 (function (g) {
+  if (!g) return;
   g.master = {
     createElement,
     ReactiveState,
+    batch,
+    nextTick,
+    component,
+    onMount,
+    onUpdate,
+    onDestroy,
+    createStore,
+    setStore,
+    configure,
+    filter,
+    compile,
+    renderToString,
+    hydrate,
+    use,
+    logger,
+    inspector,
   };
-})(window);
+})(typeof window !== "undefined" ? window : null);
 
-export { createElement, ReactiveState };
+export {
+  createElement,
+  ReactiveState,
+  batch,
+  nextTick,
+  component,
+  onMount,
+  onUpdate,
+  onDestroy,
+  createStore,
+  setStore,
+  configure,
+  filter,
+  compile,
+  renderToString,
+  hydrate,
+  use,
+  logger,
+  inspector,
+};